@@ -1,6 +1,11 @@
 const fs = require("fs/promises");
+const { createReadStream, existsSync, readFileSync, watch } = require("fs");
+const http = require("http");
 const path = require("path");
-const { pathToFileURL } = require("url");
+const { fileURLToPath, pathToFileURL } = require("url");
+const { GIFEncoder, applyPalette, quantize } = require("gifenc");
+const pixelmatch = require("pixelmatch");
+const { PNG } = require("pngjs");
 
 // Core capture settings. These defaults are chosen to match the reference
 // screenshots documented in README.md, but each constant can be tuned for
@@ -10,7 +15,15 @@ const HTML_FILE_PATTERN = /\.html?$/i;
 
 const DEFAULT_CAPTURE_CONFIG = Object.freeze({
   targetTimeMs: DEFAULT_TARGET_TIME_MS,
+  // With targetTimeMs "auto", animations that repeat forever count this many
+  // iterations when the page's end is worked out.
+  autoTargetIterations: 1,
   frameCaptureIntervalMs: 200,
+  // Optional timeline shaping: a start offset, a frame rate that replaces the
+  // interval, or an explicit timeline spec such as "0,250,peak=1337,4000".
+  timelineStartMs: 0,
+  framesPerSecond: null,
+  timeline: null,
   interstepRealtimeWaitMs: 50,
   // Real-time pre-roll before virtual time is enabled. Some animation frameworks only stabilize
   // after several requestAnimationFrame ticks, so we give them a configurable window.
@@ -22,32 +35,822 @@ const DEFAULT_CAPTURE_CONFIG = Object.freeze({
   exampleDir: path.resolve(__dirname, "..", "assets", "example"),
   outputDir: path.resolve(__dirname, "..", "tmp", "output"),
   viewport: Object.freeze({ width: 320, height: 240 }),
+  // Optional capture matrix. Every named viewport is captured at every device
+  // scale factor, and each combination ("mobile@2x") gets its own output folder.
+  viewports: Object.freeze([]),
+  deviceScaleFactors: Object.freeze([1]),
+  // Visual regression settings. Comparison is disabled until a baseline
+  // directory is supplied; the thresholds mirror pixelmatch's defaults.
+  compareDir: null,
+  updateBaselines: false,
+  maxMismatchPercent: 0,
+  pixelThreshold: 0.1,
+  includeAntiAliasing: false,
+  // Determinism check: each capture is repeated in fresh browser contexts and
+  // any frame whose pixels change between runs fails the file.
+  verifyDeterminism: false,
+  determinismRuns: 2,
+  // Animated previews ("gif", "apng") assembled from the captured frames.
+  timelineExports: Object.freeze([]),
+  // Contact sheet that tiles every captured frame into one labelled image.
+  contactSheet: false,
+  contactSheetColumns: 5,
+  contactSheetSpacing: 8,
+  // CSS selectors of elements to capture instead of the whole viewport. Each
+  // one gets its own file series, cropped to the element's bounding box plus
+  // the padding; omitBackground keeps the default white page transparent.
+  selectors: Object.freeze([]),
+  selectorPadding: 0,
+  omitBackground: false,
+  // Seed for the page's Math.random(). Date.now() and new Date() start from a
+  // fixed epoch, so repeated runs of the same page produce identical frames.
+  randomSeed: 0,
+  // Offline network stubbing: request URL patterns answered from local files
+  // or inline responses. Other external requests are reported and can be
+  // blocked, or fail the capture, so a missing network never stalls a page.
+  routes: Object.freeze([]),
+  blockUnmatchedRequests: false,
+  failOnUnmatchedRequests: false,
+  // Extra framework patch modules loaded alongside FRAMEWORK_PATCHES.
+  patchModules: Object.freeze([]),
+  // Number of animation files captured at the same time, each in its own
+  // browser context of the shared Chromium instance.
+  concurrency: 1,
+  // Keep the browser open and re-capture animations when their files change.
+  watch: false,
+  // Print each page's animation inventory instead of capturing it.
+  inspect: false,
+  // Serve exampleDir from an ephemeral http://127.0.0.1 server instead of
+  // navigating to file:// URLs, so ES modules, fetch() and fonts work.
+  serve: false,
 });
 
-// Builds an immutable configuration object for the capture workflow based on CLI args and environment variables.
-function buildCaptureConfig(argv, env = process.env) {
-  const animationPattern = resolveAnimationPattern(argv);
+// Wall-clock time reported by Date when the page's performance.now() reads 0.
+const VIRTUAL_DATE_EPOCH_MS = Date.UTC(2024, 0, 1);
+
+const TIMELINE_EXPORT_FORMATS = Object.freeze(["gif", "apng"]);
+
+// Parses a CLI number as-is so malformed values surface through validateCaptureConfig.
+function parseNumberArg(value) {
+  return value.trim() === "" ? Number.NaN : Number(value);
+}
+
+// Parses --target: a timestamp, or "auto" to derive it from the page.
+function parseTargetArg(value) {
+  return value.trim().toLowerCase() === "auto" ? "auto" : parseNumberArg(value);
+}
+
+function parseViewportArg(value) {
+  const match = /^\s*([^x\s]+)\s*x\s*([^x\s]+)\s*$/i.exec(value);
+  if (!match) {
+    throw new Error(
+      `Expected --viewport in the form WIDTHxHEIGHT (for example 640x480). Received "${value}".`
+    );
+  }
+
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// Parses one matrix viewport written as "WxH" or "name=WxH". Unnamed entries
+// are named after their size.
+function parseNamedViewportArg(value) {
+  const separatorIndex = value.indexOf("=");
+  const name =
+    separatorIndex === -1 ? null : value.slice(0, separatorIndex).trim();
+  const viewport = parseViewportArg(value.slice(separatorIndex + 1));
+
+  return { name: name ?? `${viewport.width}x${viewport.height}`, ...viewport };
+}
+
+function parseViewportListArg(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map(parseNamedViewportArg);
+}
+
+function parseNumberListArg(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim().replace(/x$/i, ""))
+    .filter(Boolean)
+    .map(parseNumberArg);
+}
+
+function parseListArg(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Resolves a directory or file argument against the working directory.
+function parsePathArg(value, cwd = process.cwd()) {
+  return value.trim() === "" ? "" : path.resolve(cwd, value);
+}
+
+// Command-line options understood by the capture script. Every entry maps a
+// flag onto a configuration key; flags without a `parse` function are boolean
+// and `repeatable` flags collect every occurrence into a list.
+const CLI_OPTIONS = Object.freeze([
+  {
+    flag: "--target",
+    key: "targetTimeMs",
+    valueName: "ms|auto",
+    description:
+      'Virtual timestamp of the final frame, or "auto" to use the end of the page\'s animations.',
+    parse: parseTargetArg,
+  },
+  {
+    flag: "--auto-iterations",
+    key: "autoTargetIterations",
+    valueName: "n",
+    description:
+      "Iterations counted for endless animations with --target auto (default 1).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--interval",
+    key: "frameCaptureIntervalMs",
+    valueName: "ms",
+    description: "Virtual time between captured frames.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--start",
+    key: "timelineStartMs",
+    valueName: "ms",
+    description: "Virtual timestamp of the first frame (default 0).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--fps",
+    key: "framesPerSecond",
+    valueName: "rate",
+    description: "Capture at a frame rate instead of --interval.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--timeline",
+    key: "timeline",
+    valueName: "spec",
+    description: 'Explicit timestamps, e.g. "0,250,peak=1337,1000..4000@500".',
+    parse: (value) => value.trim(),
+  },
+  {
+    flag: "--viewport",
+    key: "viewport",
+    valueName: "WxH",
+    description: "Browser viewport size, for example 640x480.",
+    parse: parseViewportArg,
+  },
+  {
+    flag: "--viewports",
+    key: "viewports",
+    valueName: "list",
+    description:
+      'Capture matrix viewports, e.g. "mobile=375x667,desktop=1280x720".',
+    parse: parseViewportListArg,
+  },
+  {
+    flag: "--dpr",
+    key: "deviceScaleFactors",
+    valueName: "list",
+    description: 'Device scale factors to capture, e.g. "1,2" (default 1).',
+    parse: parseNumberListArg,
+  },
+  {
+    flag: "--examples",
+    key: "exampleDir",
+    valueName: "dir",
+    description: "Directory that holds the HTML examples.",
+    parse: parsePathArg,
+  },
+  {
+    flag: "--out",
+    key: "outputDir",
+    valueName: "dir",
+    description: "Directory that receives the screenshots.",
+    parse: parsePathArg,
+  },
+  {
+    flag: "--interstep-wait",
+    key: "interstepRealtimeWaitMs",
+    valueName: "ms",
+    description: "Real-time settle delay before each intermediate frame.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--post-wait",
+    key: "postVirtualTimeWaitMs",
+    valueName: "ms",
+    description: "Real-time settle delay before the final frame.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--min-bootstrap-wait",
+    key: "minInitialRealtimeWaitMs",
+    valueName: "ms",
+    description: "Minimum real-time pre-roll before virtual time starts.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--max-bootstrap-wait",
+    key: "maxInitialRealtimeWaitMs",
+    valueName: "ms",
+    description: "Maximum real-time pre-roll before virtual time starts.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--min-raf-ticks",
+    key: "minRafTicksBeforeVirtualTime",
+    valueName: "count",
+    description: "requestAnimationFrame ticks to observe during the pre-roll.",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--compare",
+    key: "compareDir",
+    valueName: "dir",
+    description:
+      "Compare every frame with the PNG at the same relative path in this directory.",
+    parse: parsePathArg,
+  },
+  {
+    flag: "--update-baselines",
+    key: "updateBaselines",
+    description: "Copy the captured frames into the --compare directory.",
+  },
+  {
+    flag: "--max-mismatch",
+    key: "maxMismatchPercent",
+    valueName: "percent",
+    description: "Mismatched pixel percentage tolerated per frame (default 0).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--pixel-threshold",
+    key: "pixelThreshold",
+    valueName: "0-1",
+    description: "Per-pixel color distance treated as a match (default 0.1).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--include-aa",
+    key: "includeAntiAliasing",
+    description:
+      "Count anti-aliased pixels as mismatches instead of ignoring them.",
+  },
+  {
+    flag: "--verify-determinism",
+    key: "verifyDeterminism",
+    description:
+      "Capture every animation again and fail frames that differ between runs.",
+  },
+  {
+    flag: "--determinism-runs",
+    key: "determinismRuns",
+    valueName: "n",
+    description: "Runs compared by --verify-determinism (default 2).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--export",
+    key: "timelineExports",
+    valueName: "gif,apng",
+    description: "Also encode each animation's frames into animated files.",
+    parse: parseListArg,
+  },
+  {
+    flag: "--sheet",
+    key: "contactSheet",
+    description: "Also tile each animation's frames into <name>-sheet.png.",
+  },
+  {
+    flag: "--sheet-columns",
+    key: "contactSheetColumns",
+    valueName: "count",
+    description: "Tiles per contact sheet row (default 5).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--sheet-spacing",
+    key: "contactSheetSpacing",
+    valueName: "px",
+    description: "Gap around contact sheet tiles (default 8).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--selector",
+    key: "selectors",
+    valueName: "css",
+    description: "Capture only this element (repeatable; one series each).",
+    parse: (value) => value.trim(),
+    repeatable: true,
+  },
+  {
+    flag: "--padding",
+    key: "selectorPadding",
+    valueName: "px",
+    description: "Extra space around --selector crops (default 0).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--omit-background",
+    key: "omitBackground",
+    description: "Capture with a transparent page background.",
+  },
+  {
+    flag: "--block-unmatched",
+    key: "blockUnmatchedRequests",
+    description: "Abort external requests that no configured route matches.",
+  },
+  {
+    flag: "--fail-on-unmatched",
+    key: "failOnUnmatchedRequests",
+    description: "Fail files that make unmatched external requests.",
+  },
+  {
+    flag: "--seed",
+    key: "randomSeed",
+    valueName: "n",
+    description: "Seed for the page's Math.random() (default 0).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--patch",
+    key: "patchModules",
+    valueName: "module",
+    description: "Load an extra framework patch module (repeatable).",
+    parse: parsePathArg,
+    repeatable: true,
+  },
+  {
+    flag: "--concurrency",
+    key: "concurrency",
+    valueName: "n",
+    description: "Capture up to n files in parallel (default 1).",
+    parse: parseNumberArg,
+  },
+  {
+    flag: "--serve",
+    key: "serve",
+    description: "Load pages from a local HTTP server instead of file:// URLs.",
+  },
+  {
+    flag: "--watch",
+    key: "watch",
+    description: "Re-capture animations whenever they or their assets change.",
+  },
+  {
+    flag: "--inspect",
+    key: "inspect",
+    description:
+      "List each page's animations, RAF loops, media and active patches instead of capturing.",
+  },
+  {
+    flag: "--config",
+    key: "configPath",
+    valueName: "file",
+    description:
+      "Project config file (defaults to ./capture.config.{js,json}).",
+    parse: parsePathArg,
+  },
+  {
+    flag: "--help",
+    alias: "-h",
+    key: "help",
+    description: "Print this help text and exit.",
+  },
+]);
+
+function findCliOption(flag) {
+  return CLI_OPTIONS.find(
+    (option) => option.flag === flag || option.alias === flag
+  );
+}
+
+// Splits raw CLI arguments into positional values and parsed option values.
+// Both "--flag value" and "--flag=value" forms are accepted, and path values
+// resolve against `cwd`.
+function parseCaptureArgs(args, cwd = process.cwd()) {
+  const positionals = [];
+  const options = {};
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separatorIndex = arg.indexOf("=");
+    const flag = separatorIndex === -1 ? arg : arg.slice(0, separatorIndex);
+    const option = findCliOption(flag);
+
+    if (!option) {
+      throw new Error(
+        `Unknown option "${flag}". Run "npm run capture:animation -- --help" to list the supported options.`
+      );
+    }
+
+    if (!option.parse) {
+      if (separatorIndex !== -1) {
+        throw new Error(`The option "${flag}" does not take a value.`);
+      }
+
+      options[option.key] = true;
+      continue;
+    }
+
+    let rawValue;
+    if (separatorIndex !== -1) {
+      rawValue = arg.slice(separatorIndex + 1);
+    } else if (index + 1 < args.length) {
+      index += 1;
+      rawValue = args[index];
+    } else {
+      throw new Error(
+        `Expected a value after "${flag}". Usage: ${flag} <${option.valueName}>`
+      );
+    }
+
+    const value = option.parse(rawValue, cwd);
+    options[option.key] = option.repeatable
+      ? [...(options[option.key] || []), value]
+      : value;
+  }
+
+  return { positionals, options };
+}
+
+function isHelpRequested(args) {
+  return args.some((arg) => findCliOption(arg)?.key === "help");
+}
+
+// Renders the --help text from CLI_OPTIONS so the two never drift apart.
+function formatCaptureUsage() {
+  const rows = CLI_OPTIONS.map((option) => {
+    const names = option.alias
+      ? `${option.alias}, ${option.flag}`
+      : `    ${option.flag}`;
+    const label = option.parse ? `${names} <${option.valueName}>` : names;
+    return [label, option.description];
+  });
+  const labelWidth = Math.max(...rows.map(([label]) => label.length));
+
+  return [
+    "Usage: npm run capture:animation -- [options] <file.html | pattern | path | url>",
+    "",
+    "Captures frames of an HTML animation under virtual time.",
+    "",
+    "Options:",
+    ...rows.map(
+      ([label, description]) => `  ${label.padEnd(labelWidth)}  ${description}`
+    ),
+  ].join("\n");
+}
+
+// Project config files looked up in the working directory when --config is absent.
+const CAPTURE_CONFIG_FILENAMES = Object.freeze([
+  "capture.config.js",
+  "capture.config.json",
+]);
+
+// Settings a config file may override per animation. Directory settings are
+// only accepted at the top level because every file shares one run.
+const PER_FILE_CONFIG_KEYS = Object.freeze([
+  "targetTimeMs",
+  "autoTargetIterations",
+  "frameCaptureIntervalMs",
+  "timelineStartMs",
+  "framesPerSecond",
+  "timeline",
+  "interstepRealtimeWaitMs",
+  "postVirtualTimeWaitMs",
+  "minInitialRealtimeWaitMs",
+  "maxInitialRealtimeWaitMs",
+  "minRafTicksBeforeVirtualTime",
+  "viewport",
+  "viewports",
+  "deviceScaleFactors",
+  "maxMismatchPercent",
+  "pixelThreshold",
+  "includeAntiAliasing",
+  "verifyDeterminism",
+  "determinismRuns",
+  "contactSheet",
+  "contactSheetColumns",
+  "contactSheetSpacing",
+  "selectors",
+  "selectorPadding",
+  "omitBackground",
+  "randomSeed",
+  "routes",
+  "blockUnmatchedRequests",
+  "failOnUnmatchedRequests",
+]);
+const GLOBAL_CONFIG_KEYS = Object.freeze([
+  ...PER_FILE_CONFIG_KEYS,
+  "exampleDir",
+  "outputDir",
+  "compareDir",
+  "timelineExports",
+  "patchModules",
+  "concurrency",
+  "serve",
+]);
+
+function locateCaptureConfigFile(explicitPath, cwd) {
+  if (explicitPath !== undefined) {
+    if (!existsSync(explicitPath)) {
+      throw new Error(
+        `Unable to find the capture config file "${explicitPath}".`
+      );
+    }
+
+    return explicitPath;
+  }
+
+  for (const filename of CAPTURE_CONFIG_FILENAMES) {
+    const candidate = path.resolve(cwd, filename);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function loadCaptureConfigFile(configPath) {
+  let contents;
+
+  try {
+    if (/\.json$/i.test(configPath)) {
+      contents = JSON.parse(readFileSync(configPath, "utf8"));
+    } else {
+      contents = require(configPath);
+    }
+  } catch (error) {
+    throw new Error(
+      `Failed to load the capture config file "${configPath}": ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  if (!contents || typeof contents !== "object" || Array.isArray(contents)) {
+    throw new Error(
+      `Expected the capture config file "${configPath}" to export an object.`
+    );
+  }
+
+  return contents;
+}
+
+// Copies the recognised settings from a config file section, resolving
+// directories against the config file and viewports written as "WxH" (or
+// "name=WxH" in the viewports matrix).
+function normalizeConfigFileSettings(settings, allowedKeys, source, baseDir) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!allowedKeys.includes(key)) {
+      throw new Error(
+        `Unknown setting "${key}" in ${source}. Supported settings: ${allowedKeys.join(", ")}.`
+      );
+    }
+
+    if (key === "viewport" && typeof value === "string") {
+      normalized.viewport = parseViewportArg(value);
+    } else if (key === "viewports") {
+      normalized.viewports =
+        typeof value === "string"
+          ? parseViewportListArg(value)
+          : (Array.isArray(value) ? value : [value]).map((entry) =>
+              typeof entry === "string" ? parseNamedViewportArg(entry) : entry
+            );
+    } else if (key === "deviceScaleFactors") {
+      normalized.deviceScaleFactors =
+        typeof value === "string"
+          ? parseNumberListArg(value)
+          : Array.isArray(value)
+            ? value
+            : [value];
+    } else if (key === "selectors" && typeof value === "string") {
+      normalized.selectors = [value];
+    } else if (key === "timelineExports" && typeof value === "string") {
+      normalized.timelineExports = parseListArg(value);
+    } else if (key === "routes") {
+      normalized.routes = normalizeRequestRoutes(value, baseDir);
+    } else if (key === "patchModules") {
+      normalized.patchModules = (Array.isArray(value) ? value : [value]).map(
+        (modulePath) =>
+          typeof modulePath === "string" && modulePath.trim() !== ""
+            ? path.resolve(baseDir, modulePath)
+            : modulePath
+      );
+    } else if (
+      (key === "exampleDir" || key === "outputDir" || key === "compareDir") &&
+      typeof value === "string" &&
+      value.trim() !== ""
+    ) {
+      normalized[key] = path.resolve(baseDir, value);
+    } else {
+      normalized[key] = value;
+    }
+  }
+
+  return normalized;
+}
+
+// Converts a route table into a list of `{ url, file, body, status,
+// contentType, headers }` entries. Tables may be lists or objects mapping URL
+// patterns to a response, where a string response names a file. Files are
+// resolved against `baseDir`; malformed entries are left for validation.
+function normalizeRequestRoutes(routes, baseDir) {
+  const entries =
+    routes && typeof routes === "object" && !Array.isArray(routes)
+      ? Object.entries(routes).map(([url, response]) =>
+          typeof response === "string"
+            ? { url, file: response }
+            : { url, ...response }
+        )
+      : routes;
+
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+
+  return entries.map((route) =>
+    route && typeof route.file === "string" && route.file.trim() !== ""
+      ? { ...route, file: path.resolve(baseDir, route.file) }
+      : route
+  );
+}
+
+// Splits a config file into global settings and per-file overrides keyed by
+// file name or glob. Overrides are kept in declaration order.
+function parseCaptureConfigFile(contents, configPath) {
+  const { overrides = {}, ...globalSettings } = contents;
+  const baseDir = path.dirname(configPath);
+  const source = path.basename(configPath);
+
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(
+      `Expected "overrides" in ${source} to map file names or globs to settings.`
+    );
+  }
+
+  const fileOverrides = Object.entries(overrides).map(([pattern, settings]) => {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      throw new Error(
+        `Expected the override for "${pattern}" in ${source} to be an object.`
+      );
+    }
+
+    return Object.freeze({
+      pattern,
+      settings: Object.freeze(
+        normalizeConfigFileSettings(
+          settings,
+          PER_FILE_CONFIG_KEYS,
+          `the "${pattern}" override of ${source}`,
+          baseDir
+        )
+      ),
+    });
+  });
+
+  return {
+    globalSettings: normalizeConfigFileSettings(
+      globalSettings,
+      GLOBAL_CONFIG_KEYS,
+      source,
+      baseDir
+    ),
+    fileOverrides,
+  };
+}
+
+// Builds an immutable configuration object for the capture workflow based on
+// CLI args, the optional project config file and environment variables.
+// Precedence: built-in defaults < config file < per-file overrides < CLI flags.
+// `cwd` is where capture.config.* is looked up and a path argument is resolved.
+function buildCaptureConfig(argv, env = process.env, cwd = process.cwd()) {
+  const { positionals, options } = parseCaptureArgs(argv, cwd);
+  const { help, configPath: explicitConfigPath, ...cliOptions } = options;
+  const animationArgument = resolveAnimationPattern(positionals);
+  // A path argument roots the run in its own directory instead of exampleDir.
+  const animationSource = isAnimationPath(animationArgument)
+    ? splitAnimationPath(animationArgument, cwd)
+    : { rootDir: null, pattern: animationArgument };
   const browserChannel = (env.PLAYWRIGHT_BROWSER_CHANNEL || "").trim();
   const browserExecutablePath = (env.PLAYWRIGHT_CHROME_EXECUTABLE || "").trim();
 
+  const configPath = locateCaptureConfigFile(explicitConfigPath, cwd);
+  const { globalSettings, fileOverrides } = configPath
+    ? parseCaptureConfigFile(loadCaptureConfigFile(configPath), configPath)
+    : { globalSettings: {}, fileOverrides: [] };
+  const resolved = {
+    ...DEFAULT_CAPTURE_CONFIG,
+    ...globalSettings,
+    ...cliOptions,
+  };
+  // --patch adds to the config file's patch modules instead of replacing them.
+  const patchModules = [
+    ...new Set([
+      ...(globalSettings.patchModules || []),
+      ...(cliOptions.patchModules || []),
+    ]),
+  ];
+
   return Object.freeze({
-    animationPattern,
+    animationPattern: animationSource.pattern,
     browserChannel: browserChannel || null,
     browserExecutablePath: browserExecutablePath || null,
-    targetTimeMs: DEFAULT_CAPTURE_CONFIG.targetTimeMs,
-    frameCaptureIntervalMs: DEFAULT_CAPTURE_CONFIG.frameCaptureIntervalMs,
-    interstepRealtimeWaitMs: DEFAULT_CAPTURE_CONFIG.interstepRealtimeWaitMs,
-    postVirtualTimeWaitMs: DEFAULT_CAPTURE_CONFIG.postVirtualTimeWaitMs,
-    minInitialRealtimeWaitMs: DEFAULT_CAPTURE_CONFIG.minInitialRealtimeWaitMs,
-    maxInitialRealtimeWaitMs: DEFAULT_CAPTURE_CONFIG.maxInitialRealtimeWaitMs,
-    minRafTicksBeforeVirtualTime:
-      DEFAULT_CAPTURE_CONFIG.minRafTicksBeforeVirtualTime,
-    exampleDir: DEFAULT_CAPTURE_CONFIG.exampleDir,
-    outputDir: DEFAULT_CAPTURE_CONFIG.outputDir,
-    viewport: { ...DEFAULT_CAPTURE_CONFIG.viewport },
+    configPath,
+    targetTimeMs: resolved.targetTimeMs,
+    autoTargetIterations: resolved.autoTargetIterations,
+    frameCaptureIntervalMs: resolved.frameCaptureIntervalMs,
+    timelineStartMs: resolved.timelineStartMs,
+    framesPerSecond: resolved.framesPerSecond,
+    timeline: resolved.timeline,
+    interstepRealtimeWaitMs: resolved.interstepRealtimeWaitMs,
+    postVirtualTimeWaitMs: resolved.postVirtualTimeWaitMs,
+    minInitialRealtimeWaitMs: resolved.minInitialRealtimeWaitMs,
+    maxInitialRealtimeWaitMs: resolved.maxInitialRealtimeWaitMs,
+    minRafTicksBeforeVirtualTime: resolved.minRafTicksBeforeVirtualTime,
+    exampleDir: animationSource.rootDir || resolved.exampleDir,
+    outputDir: resolved.outputDir,
+    viewport: Object.freeze({ ...resolved.viewport }),
+    viewports: Object.freeze([...resolved.viewports]),
+    deviceScaleFactors: Object.freeze([...resolved.deviceScaleFactors]),
+    compareDir: resolved.compareDir,
+    updateBaselines: resolved.updateBaselines,
+    maxMismatchPercent: resolved.maxMismatchPercent,
+    pixelThreshold: resolved.pixelThreshold,
+    includeAntiAliasing: resolved.includeAntiAliasing,
+    verifyDeterminism: resolved.verifyDeterminism,
+    determinismRuns: resolved.determinismRuns,
+    timelineExports: Object.freeze([...resolved.timelineExports]),
+    contactSheet: resolved.contactSheet,
+    contactSheetColumns: resolved.contactSheetColumns,
+    contactSheetSpacing: resolved.contactSheetSpacing,
+    selectors: Object.freeze([...resolved.selectors]),
+    selectorPadding: resolved.selectorPadding,
+    omitBackground: resolved.omitBackground,
+    randomSeed: resolved.randomSeed,
+    routes: Object.freeze([...resolved.routes]),
+    blockUnmatchedRequests: resolved.blockUnmatchedRequests,
+    failOnUnmatchedRequests: resolved.failOnUnmatchedRequests,
+    patchModules: Object.freeze(patchModules),
+    externalPatches: loadFrameworkPatches(patchModules),
+    concurrency: resolved.concurrency,
+    watch: resolved.watch,
+    inspect: resolved.inspect,
+    serve: resolved.serve,
+    fileOverrides: Object.freeze(fileOverrides),
+    // Per-file overrides can only change per-file settings, so only those CLI
+    // flags are layered back on top; re-applying the rest would undo the root
+    // a path argument chose over --examples and the merged patch modules.
+    cliOverrides: Object.freeze(
+      Object.fromEntries(
+        Object.entries(cliOptions).filter(([key]) =>
+          PER_FILE_CONFIG_KEYS.includes(key)
+        )
+      )
+    ),
   });
 }
 
+// Derives the configuration for a single animation file by layering every
+// matching config file override (in declaration order) and then the CLI flags.
+// Patterns match the file's path below the capture root or its bare name.
+function resolveFileCaptureConfig(config, animationFile) {
+  const fileName = path.posix.basename(animationFile);
+  const matchingOverrides = (config.fileOverrides || []).filter(
+    ({ pattern }) => {
+      const matcher = wildcardToRegExp(pattern);
+      return matcher.test(animationFile) || matcher.test(fileName);
+    }
+  );
+
+  if (matchingOverrides.length === 0) {
+    return config;
+  }
+
+  const resolved = { ...config };
+  for (const { settings } of matchingOverrides) {
+    Object.assign(resolved, settings);
+  }
+  Object.assign(resolved, config.cliOverrides);
+  resolved.viewport = Object.freeze({ ...resolved.viewport });
+
+  return Object.freeze(resolved);
+}
+
 function assertFiniteNumber(value, propertyName) {
   if (typeof value !== "number" || !Number.isFinite(value)) {
     throw new Error(
@@ -56,83 +859,514 @@ function assertFiniteNumber(value, propertyName) {
   }
 }
 
-function validateCaptureConfig(config) {
-  assertFiniteNumber(
-    config.minInitialRealtimeWaitMs,
-    "config.minInitialRealtimeWaitMs"
-  );
-  assertFiniteNumber(
-    config.maxInitialRealtimeWaitMs,
-    "config.maxInitialRealtimeWaitMs"
-  );
+function assertNonNegativeNumber(value, propertyName) {
+  assertFiniteNumber(value, propertyName);
 
-  if (config.minInitialRealtimeWaitMs <= 0) {
+  if (value < 0) {
     throw new Error(
-      `Expected config.minInitialRealtimeWaitMs to be greater than 0. Received ${config.minInitialRealtimeWaitMs}.`
+      `Expected ${propertyName} to be greater than or equal to 0. Received ${value}.`
     );
   }
+}
 
-  if (config.maxInitialRealtimeWaitMs <= 0) {
+function assertNumberInRange(value, min, max, propertyName) {
+  assertFiniteNumber(value, propertyName);
+
+  if (value < min || value > max) {
     throw new Error(
-      `Expected config.maxInitialRealtimeWaitMs to be greater than 0. Received ${config.maxInitialRealtimeWaitMs}.`
+      `Expected ${propertyName} to be between ${min} and ${max}. Received ${value}.`
     );
   }
+}
 
-  if (config.maxInitialRealtimeWaitMs < config.minInitialRealtimeWaitMs) {
+function assertPositiveInteger(value, propertyName) {
+  assertFiniteNumber(value, propertyName);
+
+  if (!Number.isInteger(value) || value <= 0) {
     throw new Error(
-      `Expected config.maxInitialRealtimeWaitMs (${config.maxInitialRealtimeWaitMs}) to be greater than or equal to config.minInitialRealtimeWaitMs (${config.minInitialRealtimeWaitMs}).`
+      `Expected ${propertyName} to be a positive integer. Received ${value}.`
     );
   }
 }
 
-function resolveAnimationPattern(args) {
-  if (args.length === 0) {
+function assertNonEmptyString(value, propertyName) {
+  if (typeof value !== "string" || value.trim() === "") {
     throw new Error(
-      'Expected the HTML file name as the first argument. Example: "npm run capture:animation -- animejs-virtual-time.html"'
+      `Expected ${propertyName} to be a non-empty string. Received ${JSON.stringify(value)}.`
     );
   }
+}
 
-  if (args.length > 1) {
+function validateRequestRoute(route, index) {
+  const propertyName = `config.routes[${index}]`;
+
+  if (!route || typeof route !== "object") {
     throw new Error(
-      `Received unexpected extra arguments after "${args[0]}". Provide only the HTML file name or pattern to capture.`
+      `Expected ${propertyName} to be a route object. Received ${JSON.stringify(route)}.`
     );
   }
 
-  const animationPattern = args[0];
+  if (!(route.url instanceof RegExp)) {
+    assertNonEmptyString(route.url, `${propertyName}.url`);
+  }
 
-  if (animationPattern.includes("/") || animationPattern.includes(path.sep)) {
+  if (route.file !== undefined && route.body !== undefined) {
     throw new Error(
-      `Provide only the HTML file name, not a path. Received "${animationPattern}".`
+      `Expected ${propertyName} (${route.url}) to set either "file" or "body", not both.`
     );
   }
 
-  const validationSample = animationPattern.replace(/[\*\?]/g, "a");
-  if (!HTML_FILE_PATTERN.test(validationSample)) {
+  if (route.file !== undefined) {
+    assertNonEmptyString(route.file, `${propertyName}.file`);
+  }
+
+  if (
+    route.body !== undefined &&
+    typeof route.body !== "string" &&
+    !Buffer.isBuffer(route.body)
+  ) {
     throw new Error(
-      `The argument "${animationPattern}" does not look like an HTML file. Provide a file ending in .html or .htm.`
+      `Expected ${propertyName}.body to be a string. Received ${JSON.stringify(route.body)}.`
     );
   }
 
-  return animationPattern;
-}
+  if (route.status !== undefined) {
+    assertNumberInRange(route.status, 100, 599, `${propertyName}.status`);
+  }
 
-function containsWildcards(pattern) {
-  return /[\*\?]/.test(pattern);
-}
+  if (route.contentType !== undefined) {
+    assertNonEmptyString(route.contentType, `${propertyName}.contentType`);
+  }
 
-function wildcardToRegExp(pattern) {
-  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const translated = escaped.replace(/\\\*/g, ".*").replace(/\\\?/g, ".");
-  return new RegExp(`^${translated}$`, "i");
+  if (
+    route.headers !== undefined &&
+    (!route.headers ||
+      typeof route.headers !== "object" ||
+      Array.isArray(route.headers))
+  ) {
+    throw new Error(
+      `Expected ${propertyName}.headers to be an object of header values.`
+    );
+  }
 }
 
-// Creates browser launch options derived from the resolved configuration.
-function buildBrowserLaunchOptions(config) {
-  const launchOptions = {};
-
-  if (config.browserExecutablePath) {
-    launchOptions.executablePath = config.browserExecutablePath;
-  } else if (config.browserChannel) {
+// Checks the configuration before any browser work starts. Only the bootstrap
+// waits are mandatory; the remaining settings are checked whenever present so
+// partial configs (such as those used in tests) stay valid.
+function validateCaptureConfig(config) {
+  assertFiniteNumber(
+    config.minInitialRealtimeWaitMs,
+    "config.minInitialRealtimeWaitMs"
+  );
+  assertFiniteNumber(
+    config.maxInitialRealtimeWaitMs,
+    "config.maxInitialRealtimeWaitMs"
+  );
+
+  if (config.minInitialRealtimeWaitMs <= 0) {
+    throw new Error(
+      `Expected config.minInitialRealtimeWaitMs to be greater than 0. Received ${config.minInitialRealtimeWaitMs}.`
+    );
+  }
+
+  if (config.maxInitialRealtimeWaitMs <= 0) {
+    throw new Error(
+      `Expected config.maxInitialRealtimeWaitMs to be greater than 0. Received ${config.maxInitialRealtimeWaitMs}.`
+    );
+  }
+
+  if (config.maxInitialRealtimeWaitMs < config.minInitialRealtimeWaitMs) {
+    throw new Error(
+      `Expected config.maxInitialRealtimeWaitMs (${config.maxInitialRealtimeWaitMs}) to be greater than or equal to config.minInitialRealtimeWaitMs (${config.minInitialRealtimeWaitMs}).`
+    );
+  }
+
+  if (config.targetTimeMs !== undefined && config.targetTimeMs !== "auto") {
+    assertNonNegativeNumber(config.targetTimeMs, "config.targetTimeMs");
+  }
+
+  if (config.autoTargetIterations !== undefined) {
+    assertPositiveInteger(
+      config.autoTargetIterations,
+      "config.autoTargetIterations"
+    );
+  }
+
+  if (config.frameCaptureIntervalMs !== undefined) {
+    assertFiniteNumber(
+      config.frameCaptureIntervalMs,
+      "config.frameCaptureIntervalMs"
+    );
+
+    if (config.frameCaptureIntervalMs <= 0) {
+      throw new Error(
+        `Expected config.frameCaptureIntervalMs to be greater than 0. Received ${config.frameCaptureIntervalMs}.`
+      );
+    }
+
+    if (config.frameCaptureIntervalMs < MIN_TIMELINE_STEP_MS) {
+      throw new Error(
+        `Expected config.frameCaptureIntervalMs to be at least ${MIN_TIMELINE_STEP_MS} (1000 fps). Received ${config.frameCaptureIntervalMs}.`
+      );
+    }
+  }
+
+  if (config.timelineStartMs !== undefined) {
+    assertNonNegativeNumber(config.timelineStartMs, "config.timelineStartMs");
+
+    if (
+      typeof config.targetTimeMs === "number" &&
+      config.timelineStartMs > config.targetTimeMs
+    ) {
+      throw new Error(
+        `Expected config.timelineStartMs (${config.timelineStartMs}) to be less than or equal to config.targetTimeMs (${config.targetTimeMs}).`
+      );
+    }
+  }
+
+  if (config.framesPerSecond !== undefined && config.framesPerSecond !== null) {
+    assertFiniteNumber(config.framesPerSecond, "config.framesPerSecond");
+
+    if (config.framesPerSecond <= 0 || config.framesPerSecond > 1000) {
+      throw new Error(
+        `Expected config.framesPerSecond to be greater than 0 and at most 1000. Received ${config.framesPerSecond}.`
+      );
+    }
+  }
+
+  if (config.timeline !== undefined && config.timeline !== null) {
+    if (
+      typeof config.timeline !== "string" &&
+      !Array.isArray(config.timeline)
+    ) {
+      throw new Error(
+        `Expected config.timeline to be a timeline spec string or a list of timestamps. Received ${JSON.stringify(config.timeline)}.`
+      );
+    }
+  }
+
+  // Resolving surfaces malformed specs and oversized timelines before any
+  // browser work starts.
+  resolveCaptureTimeline(config);
+
+  for (const key of [
+    "interstepRealtimeWaitMs",
+    "postVirtualTimeWaitMs",
+    "minRafTicksBeforeVirtualTime",
+  ]) {
+    if (config[key] !== undefined) {
+      assertNonNegativeNumber(config[key], `config.${key}`);
+    }
+  }
+
+  if (config.viewport !== undefined) {
+    assertPositiveInteger(config.viewport?.width, "config.viewport.width");
+    assertPositiveInteger(config.viewport?.height, "config.viewport.height");
+  }
+
+  if (config.viewports !== undefined) {
+    if (!Array.isArray(config.viewports)) {
+      throw new Error(
+        `Expected config.viewports to be a list of viewports. Received ${JSON.stringify(config.viewports)}.`
+      );
+    }
+
+    const names = new Set();
+    config.viewports.forEach((viewport, index) => {
+      const propertyName = `config.viewports[${index}]`;
+      assertNonEmptyString(viewport?.name, `${propertyName}.name`);
+      assertPositiveInteger(viewport.width, `${propertyName}.width`);
+      assertPositiveInteger(viewport.height, `${propertyName}.height`);
+
+      if (!/^[\w.-]+$/.test(viewport.name)) {
+        throw new Error(
+          `Expected ${propertyName}.name to contain only letters, digits, ".", "_" or "-" because it names an output folder. Received "${viewport.name}".`
+        );
+      }
+
+      if (names.has(viewport.name)) {
+        throw new Error(
+          `Expected config.viewports names to be unique. "${viewport.name}" is listed twice.`
+        );
+      }
+      names.add(viewport.name);
+    });
+  }
+
+  if (config.deviceScaleFactors !== undefined) {
+    if (
+      !Array.isArray(config.deviceScaleFactors) ||
+      config.deviceScaleFactors.length === 0
+    ) {
+      throw new Error(
+        `Expected config.deviceScaleFactors to be a non-empty list of numbers. Received ${JSON.stringify(config.deviceScaleFactors)}.`
+      );
+    }
+
+    config.deviceScaleFactors.forEach((factor, index) => {
+      assertNumberInRange(
+        factor,
+        0.25,
+        8,
+        `config.deviceScaleFactors[${index}]`
+      );
+    });
+
+    if (
+      new Set(config.deviceScaleFactors).size !==
+      config.deviceScaleFactors.length
+    ) {
+      throw new Error(
+        `Expected config.deviceScaleFactors to list each factor once. Received ${config.deviceScaleFactors.join(", ")}.`
+      );
+    }
+  }
+
+  if (config.deviceScaleFactor !== undefined) {
+    assertNumberInRange(
+      config.deviceScaleFactor,
+      0.25,
+      8,
+      "config.deviceScaleFactor"
+    );
+  }
+
+  for (const key of ["exampleDir", "outputDir"]) {
+    if (config[key] !== undefined) {
+      assertNonEmptyString(config[key], `config.${key}`);
+    }
+  }
+
+  if (config.compareDir !== undefined && config.compareDir !== null) {
+    assertNonEmptyString(config.compareDir, "config.compareDir");
+  }
+
+  if (config.updateBaselines && !config.compareDir) {
+    throw new Error(
+      "Expected --update-baselines to be combined with --compare <dir> so the script knows where the baselines live."
+    );
+  }
+
+  if (config.maxMismatchPercent !== undefined) {
+    assertNumberInRange(
+      config.maxMismatchPercent,
+      0,
+      100,
+      "config.maxMismatchPercent"
+    );
+  }
+
+  if (config.pixelThreshold !== undefined) {
+    assertNumberInRange(config.pixelThreshold, 0, 1, "config.pixelThreshold");
+  }
+
+  if (config.contactSheetColumns !== undefined) {
+    assertPositiveInteger(
+      config.contactSheetColumns,
+      "config.contactSheetColumns"
+    );
+  }
+
+  if (config.contactSheetSpacing !== undefined) {
+    assertNonNegativeNumber(
+      config.contactSheetSpacing,
+      "config.contactSheetSpacing"
+    );
+  }
+
+  if (config.selectors !== undefined) {
+    if (!Array.isArray(config.selectors)) {
+      throw new Error(
+        `Expected config.selectors to be a list of CSS selectors. Received ${JSON.stringify(config.selectors)}.`
+      );
+    }
+
+    config.selectors.forEach((selector, index) =>
+      assertNonEmptyString(selector, `config.selectors[${index}]`)
+    );
+  }
+
+  if (config.selectorPadding !== undefined) {
+    assertNonNegativeNumber(config.selectorPadding, "config.selectorPadding");
+  }
+
+  if (config.concurrency !== undefined) {
+    assertPositiveInteger(config.concurrency, "config.concurrency");
+  }
+
+  if (config.determinismRuns !== undefined) {
+    assertPositiveInteger(config.determinismRuns, "config.determinismRuns");
+
+    if (config.determinismRuns < 2) {
+      throw new Error(
+        `Expected config.determinismRuns to be at least 2 so there is a run to compare. Received ${config.determinismRuns}.`
+      );
+    }
+  }
+
+  // A URL is captured where it is hosted: there are no local files to serve
+  // or watch.
+  if (isAnimationUrl(config.animationPattern || "")) {
+    for (const [key, flag] of [
+      ["serve", "--serve"],
+      ["watch", "--watch"],
+    ]) {
+      if (config[key]) {
+        throw new Error(
+          `${flag} needs local HTML files and cannot be used with the URL "${config.animationPattern}".`
+        );
+      }
+    }
+  }
+
+  // --inspect loads each page once and captures nothing to re-run.
+  if (config.inspect && config.watch) {
+    throw new Error("--inspect cannot be combined with --watch.");
+  }
+
+  if (config.randomSeed !== undefined) {
+    assertNumberInRange(config.randomSeed, 0, 0xffffffff, "config.randomSeed");
+
+    if (!Number.isInteger(config.randomSeed)) {
+      throw new Error(
+        `Expected config.randomSeed to be an integer. Received ${config.randomSeed}.`
+      );
+    }
+  }
+
+  if (config.routes !== undefined) {
+    if (!Array.isArray(config.routes)) {
+      throw new Error(
+        `Expected config.routes to map URL patterns to responses. Received ${JSON.stringify(config.routes)}.`
+      );
+    }
+
+    config.routes.forEach((route, index) => validateRequestRoute(route, index));
+  }
+
+  if (config.timelineExports !== undefined) {
+    if (!Array.isArray(config.timelineExports)) {
+      throw new Error(
+        `Expected config.timelineExports to be a list of formats. Received ${JSON.stringify(config.timelineExports)}.`
+      );
+    }
+
+    for (const format of config.timelineExports) {
+      if (!TIMELINE_EXPORT_FORMATS.includes(format)) {
+        throw new Error(
+          `Unsupported export format "${format}". Supported formats: ${TIMELINE_EXPORT_FORMATS.join(", ")}.`
+        );
+      }
+    }
+  }
+}
+
+// Validates the positional arguments left over once options have been parsed.
+function resolveAnimationPattern(args) {
+  if (args.length === 0) {
+    throw new Error(
+      'Expected the HTML file name as the first argument. Example: "npm run capture:animation -- animejs-virtual-time.html"'
+    );
+  }
+
+  if (args.length > 1) {
+    throw new Error(
+      `Received unexpected extra arguments after "${args[0]}". Provide only the HTML file name or pattern to capture (options such as --target go before or after it).`
+    );
+  }
+
+  const animationPattern = args[0];
+
+  if (isAnimationUrl(animationPattern)) {
+    try {
+      new URL(animationPattern);
+    } catch {
+      throw new Error(`The argument "${animationPattern}" is not a valid URL.`);
+    }
+
+    return animationPattern;
+  }
+
+  // Paths may carry wildcards in any segment, but must still name HTML files.
+  const fileName = animationPattern.split(/[\\/]/).pop();
+  const validationSample = fileName.replace(/[\*\?]/g, "a");
+  if (!HTML_FILE_PATTERN.test(validationSample)) {
+    throw new Error(
+      `The argument "${animationPattern}" does not look like an HTML file. Provide a file ending in .html or .htm.`
+    );
+  }
+
+  return animationPattern;
+}
+
+// Whether the positional argument names a page by http(s) URL.
+function isAnimationUrl(value) {
+  return /^https?:\/\//i.test(value);
+}
+
+// Whether the positional argument is a path (resolved against the working
+// directory) rather than a bare file name inside exampleDir.
+function isAnimationPath(value) {
+  return (
+    !isAnimationUrl(value) && (value.includes("/") || value.includes(path.sep))
+  );
+}
+
+// Splits a path argument into the directory that roots the capture and the
+// pattern below it: the segments before the first wildcard, or the file's own
+// directory. "src/**/banner-*.html" -> { rootDir: "<cwd>/src", pattern:
+// "**/banner-*.html" }.
+function splitAnimationPath(animationPath, cwd) {
+  const wildcardIndex = animationPath.search(/[\*\?]/);
+  const prefix =
+    wildcardIndex === -1
+      ? animationPath
+      : animationPath.slice(0, wildcardIndex);
+  const cut = Math.max(prefix.lastIndexOf("/"), prefix.lastIndexOf(path.sep));
+
+  return {
+    rootDir: path.resolve(cwd, animationPath.slice(0, cut + 1) || "."),
+    pattern: animationPath
+      .slice(cut + 1)
+      .split(/[\\/]/)
+      .join("/"),
+  };
+}
+
+function containsWildcards(pattern) {
+  return /[\*\?]/.test(pattern);
+}
+
+// Translates a glob into a case-insensitive RegExp. "*" and "?" stay within
+// one path segment, "**" spans directories and "**/" also matches none.
+function wildcardToRegExp(pattern) {
+  const translated = pattern
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      switch (part) {
+        case "**/":
+          return "(?:.*/)?";
+        case "**":
+          return ".*";
+        case "*":
+          return "[^/]*";
+        case "?":
+          return "[^/]";
+        default:
+          return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    })
+    .join("");
+  return new RegExp(`^${translated}$`, "i");
+}
+
+// Creates browser launch options derived from the resolved configuration.
+function buildBrowserLaunchOptions(config) {
+  const launchOptions = {};
+
+  if (config.browserExecutablePath) {
+    launchOptions.executablePath = config.browserExecutablePath;
+  } else if (config.browserChannel) {
     launchOptions.channel = config.browserChannel;
   }
 
@@ -166,40 +1400,369 @@ function loadChromium() {
   }
 }
 
-// Patches run before any page script executes. Each entry registers shims for a
-// specific animation framework so that virtual-time fast-forwarding matches the
-// observable behavior of real-time playback.
-const FRAMEWORK_PATCHES = [
-  {
-    name: "anime.js lifecycle bootstrap hooks",
-    // Injects shims so anime.js timelines behave correctly when virtual time is fast-forwarded.
-    initScript: () => {
-      const automationState = (window.__captureAutomation ||= {});
+// Content types sent by the local HTTP server. Unknown extensions are served
+// as application/octet-stream.
+const STATIC_CONTENT_TYPES = Object.freeze({
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".wasm": "application/wasm",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".apng": "image/apng",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".ogv": "video/ogg",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".ogg": "audio/ogg",
+  ".oga": "audio/ogg",
+  ".wav": "audio/wav",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+});
 
-      if (automationState.animeLifecyclePatched) {
-        return;
-      }
+// Parses a single "bytes=start-end" Range header (including the open "start-"
+// and suffix "-length" forms) against a file of `size` bytes. Resolves to
+// `{ start, end }` with an inclusive end, null when the whole file should be
+// sent, or "unsatisfiable" when the range lies outside the file. A backwards
+// range such as "bytes=5-2" is invalid rather than unsatisfiable (RFC 9110), so
+// it falls back to the full file.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+
+  // Absent, malformed and multi-range headers fall back to the full file.
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
 
-      automationState.animeLifecyclePatched = true;
+  let start;
+  let end;
+  if (match[1] === "") {
+    const suffixLength = Number(match[2]);
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
 
-      const patchedInstances = new WeakSet();
-      const trackedInstances = (automationState.animeTrackedInstances ||=
-        new Set());
+    if (suffixLength === 0) {
+      return "unsatisfiable";
+    }
+  } else {
+    start = Number(match[1]);
+    if (match[2] !== "" && Number(match[2]) < start) {
+      return null;
+    }
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
 
-      automationState.getTrackedAnimeInstances = () =>
-        Array.from(trackedInstances).filter(
-          (instance) => instance && typeof instance === "object"
-        );
+  if (start >= size) {
+    return "unsatisfiable";
+  }
 
-      // Recursively decorates an anime.js instance and its children so bootstrap state is preserved after virtual seeks.
-      const patchInstance = (instance) => {
-        if (
-          !instance ||
-          typeof instance !== "object" ||
-          patchedInstances.has(instance)
-        ) {
-          return instance;
-        }
+  return { start, end };
+}
+
+// Answers one GET or HEAD request for a file below `rootDir`.
+async function handleStaticRequest(rootDir, request, response) {
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    response.writeHead(405, { Allow: "GET, HEAD" }).end();
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(
+      new URL(request.url, "http://127.0.0.1").pathname
+    );
+  } catch {
+    response.writeHead(400).end();
+    return;
+  }
+
+  const filePath = path.join(rootDir, pathname);
+  if (filePath !== rootDir && !filePath.startsWith(`${rootDir}${path.sep}`)) {
+    response.writeHead(403).end();
+    return;
+  }
+
+  const stats = await fs.stat(filePath).catch(() => null);
+  if (!stats?.isFile()) {
+    response.writeHead(404).end();
+    return;
+  }
+
+  const headers = {
+    "Content-Type":
+      STATIC_CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream",
+    "Accept-Ranges": "bytes",
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  };
+  const range = parseByteRange(request.headers.range, stats.size);
+
+  if (range === "unsatisfiable") {
+    response
+      .writeHead(416, { ...headers, "Content-Range": `bytes */${stats.size}` })
+      .end();
+    return;
+  }
+
+  const { start, end } = range || { start: 0, end: stats.size - 1 };
+  response.writeHead(range ? 206 : 200, {
+    ...headers,
+    "Content-Length": Math.max(0, end - start + 1),
+    ...(range
+      ? { "Content-Range": `bytes ${start}-${end}/${stats.size}` }
+      : {}),
+  });
+
+  if (request.method === "HEAD" || stats.size === 0) {
+    response.end();
+    return;
+  }
+
+  createReadStream(filePath, { start, end })
+    .on("error", () => response.destroy())
+    .pipe(response);
+}
+
+// Serves `rootDir` on an ephemeral 127.0.0.1 port with content types and byte
+// range support (which media elements need to seek). Resolves to
+// `{ origin, rootDir, close }`.
+async function startStaticServer(rootDir) {
+  const root = path.resolve(rootDir);
+  const server = http.createServer((request, response) => {
+    handleStaticRequest(root, request, response).catch(() => {
+      if (!response.headersSent) {
+        response.writeHead(500);
+      }
+      response.end();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", resolve);
+  });
+
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    rootDir: root,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      }),
+  };
+}
+
+// Builds the URL a page is loaded from: an http:// URL on the local static
+// server when one is running, otherwise a file:// URL.
+function buildPageUrl(filePath, staticServer) {
+  if (!staticServer) {
+    return pathToFileURL(filePath).href;
+  }
+
+  const relativePath = path
+    .relative(staticServer.rootDir, filePath)
+    .split(path.sep)
+    .map(encodeURIComponent)
+    .join("/");
+  return `${staticServer.origin}/${relativePath}`;
+}
+
+// Maps a request URL back to the local file it reads: file: URLs and URLs on
+// the local static server. Other URLs map to null.
+function resolveLocalRequestPath(url, staticServer) {
+  if (url.startsWith("file:")) {
+    return fileURLToPath(url);
+  }
+
+  if (staticServer && url.startsWith(`${staticServer.origin}/`)) {
+    return path.join(
+      staticServer.rootDir,
+      decodeURIComponent(new URL(url).pathname)
+    );
+  }
+
+  return null;
+}
+
+// Compiles a route URL pattern. RegExp patterns are used as-is; in strings
+// "**" matches any characters and "*" any characters except "/".
+function compileRoutePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const source = pattern
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === "**") {
+        return ".*";
+      }
+
+      return part === "*"
+        ? "[^/]*"
+        : part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+// Returns the first configured route whose pattern matches `url`, or null.
+function findRequestRoute(routes, url) {
+  return (
+    routes.find((route) => compileRoutePattern(route.url).test(url)) || null
+  );
+}
+
+// Whether a request leaves the machine: http(s) and ws(s) URLs outside the
+// `localOrigins` (the page's own origin and the local static server).
+function isExternalRequest(url, localOrigins) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  return (
+    /^(https?|wss?):$/.test(parsed.protocol) &&
+    !localOrigins.includes(parsed.origin)
+  );
+}
+
+// Builds the Playwright response for a matched route. File responses take
+// their content type from the extension unless the route names one.
+async function buildRouteResponse(requestRoute) {
+  const contentType =
+    requestRoute.contentType ||
+    (requestRoute.file &&
+      STATIC_CONTENT_TYPES[path.extname(requestRoute.file).toLowerCase()]);
+
+  return {
+    status: requestRoute.status ?? 200,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      ...(contentType ? { "Content-Type": contentType } : {}),
+      ...requestRoute.headers,
+    },
+    body: requestRoute.file
+      ? await fs.readFile(requestRoute.file)
+      : (requestRoute.body ?? ""),
+  };
+}
+
+// Answers requests matching config.routes and records the external requests
+// no route matches, aborting them when config.blockUnmatchedRequests is set.
+// Resolves to `{ unmatchedRequests, routedFiles }`: Sets that collect those
+// URLs in request order and the local files routes answered with.
+async function installRequestRoutes(context, config, localOrigins, logger) {
+  const routes = config.routes || [];
+  const unmatchedRequests = new Set();
+  const routedFiles = new Set();
+
+  context.on("request", (request) => {
+    const url = request.url();
+    if (
+      isExternalRequest(url, localOrigins) &&
+      !findRequestRoute(routes, url)
+    ) {
+      unmatchedRequests.add(url);
+    }
+  });
+
+  if (routes.length === 0 && !config.blockUnmatchedRequests) {
+    return { unmatchedRequests, routedFiles };
+  }
+
+  await context.route("**/*", async (route) => {
+    const url = route.request().url();
+    const requestRoute = findRequestRoute(routes, url);
+
+    if (requestRoute) {
+      let response;
+      try {
+        response = await buildRouteResponse(requestRoute);
+      } catch (error) {
+        logger.warn(
+          `Failed to answer ${url} from the route for ${requestRoute.url}: ${error.message}`
+        );
+        await route.abort("failed");
+        return;
+      }
+
+      if (requestRoute.file) {
+        routedFiles.add(requestRoute.file);
+      }
+      await route.fulfill(response);
+    } else if (
+      config.blockUnmatchedRequests &&
+      isExternalRequest(url, localOrigins)
+    ) {
+      await route.abort("blockedbyclient");
+    } else {
+      await route.fallback();
+    }
+  });
+
+  return { unmatchedRequests, routedFiles };
+}
+
+// Patches run before any page script executes. Each entry registers shims for a
+// specific animation framework so that virtual-time fast-forwarding matches the
+// observable behavior of real-time playback.
+const FRAMEWORK_PATCHES = Object.freeze([
+  {
+    name: "anime.js lifecycle bootstrap hooks",
+    // Page-side check, like an external patch's, for whether the page uses anime.js.
+    detect: () =>
+      (window.__captureAutomation?.getTrackedAnimeInstances?.() || []).length >
+      0,
+    // Injects shims so anime.js timelines behave correctly when virtual time is fast-forwarded.
+    initScript: () => {
+      const automationState = (window.__captureAutomation ||= {});
+
+      if (automationState.animeLifecyclePatched) {
+        return;
+      }
+
+      automationState.animeLifecyclePatched = true;
+
+      const patchedInstances = new WeakSet();
+      const trackedInstances = (automationState.animeTrackedInstances ||=
+        new Set());
+
+      automationState.getTrackedAnimeInstances = () =>
+        Array.from(trackedInstances).filter(
+          (instance) => instance && typeof instance === "object"
+        );
+
+      // Recursively decorates an anime.js instance and its children so bootstrap state is preserved after virtual seeks.
+      const patchInstance = (instance) => {
+        if (
+          !instance ||
+          typeof instance !== "object" ||
+          patchedInstances.has(instance)
+        ) {
+          return instance;
+        }
 
         patchedInstances.add(instance);
         trackedInstances.add(instance);
@@ -240,7 +1803,7 @@ const FRAMEWORK_PATCHES = [
                 // ordering intact.
                 instance.currentTime = Number.MIN_VALUE;
               } catch (error) {
-                console.warn(
+                automationState.reportSyncFailure?.(
                   "anime.js bootstrap shim failed to prime currentTime",
                   error
                 );
@@ -254,7 +1817,7 @@ const FRAMEWORK_PATCHES = [
                 try {
                   instance.currentTime = previousTime;
                 } catch (restoreError) {
-                  console.warn(
+                  automationState.reportSyncFailure?.(
                     "Failed to restore anime.js currentTime after seek error",
                     restoreError
                   );
@@ -474,735 +2037,4207 @@ const FRAMEWORK_PATCHES = [
         hasInitialValue = false;
       }
 
-      // Install the interceptor immediately so any subsequent inline scripts
-      // that assign to `window.anime` receive the wrapped factory.
-      installAnimeInterceptor(hasInitialValue ? initialValue : undefined);
-    },
-  },
-];
+      // Install the interceptor immediately so any subsequent inline scripts
+      // that assign to `window.anime` receive the wrapped factory.
+      installAnimeInterceptor(hasInitialValue ? initialValue : undefined);
+    },
+  },
+  {
+    name: "GSAP timeline tracking",
+    detect: () =>
+      (window.__captureAutomation?.getTrackedGsapAnimations?.() || []).length >
+      0,
+    // Records GSAP tweens and timelines so they can be seeked under virtual time.
+    initScript: () => {
+      const automationState = (window.__captureAutomation ||= {});
+
+      if (automationState.gsapPatched) {
+        return;
+      }
+
+      automationState.gsapPatched = true;
+
+      const patchedFactories = new WeakSet();
+      // Maps each root-level tween or timeline to the global timeline time at
+      // which it was created, so delays and position offsets survive seeking.
+      const trackedAnimations = (automationState.gsapTrackedAnimations ||=
+        new Map());
+      const trackedMethodNames = [
+        "to",
+        "from",
+        "fromTo",
+        "timeline",
+        "delayedCall",
+      ];
+
+      automationState.getTrackedGsapAnimations = () =>
+        Array.from(trackedAnimations.keys());
+
+      // Seeks every tracked root animation to its local time at the virtual
+      // timestamp. GSAP renders the whole span between the previous and the new
+      // time, so onStart/onUpdate/onComplete fire in their natural order just
+      // like the anime.js shim's primed seek.
+      automationState.seekGsapAnimations = (targetTimeMs) => {
+        const gsap = automationState.gsapFactory;
+        const globalTimeline = gsap?.globalTimeline;
+        const targetSeconds = targetTimeMs / 1000;
+        let seeked = 0;
+
+        for (const [animation, createdAt] of trackedAnimations) {
+          // Animations nested into a tracked timeline follow their parent.
+          if (
+            animation.parent &&
+            globalTimeline &&
+            animation.parent !== globalTimeline
+          ) {
+            continue;
+          }
+
+          try {
+            const startOffset = animation.startTime() - createdAt;
+            // Pausing keeps GSAP's ticker from moving the playhead between
+            // captures; its lag smoothing already clamps the clock jumps that
+            // virtual time produces, so the ticker is otherwise left alone.
+            animation.paused(true);
+            animation.totalTime(
+              Math.max(0, targetSeconds - startOffset),
+              false
+            );
+            seeked += 1;
+          } catch (error) {
+            automationState.reportSyncFailure?.(
+              "Failed to seek GSAP animation to target time",
+              error
+            );
+          }
+        }
+
+        return seeked;
+      };
+
+      const patchGsap = (gsap) => {
+        if (!gsap || typeof gsap !== "object" || patchedFactories.has(gsap)) {
+          return gsap;
+        }
+
+        patchedFactories.add(gsap);
+        automationState.gsapFactory = gsap;
+
+        for (const methodName of trackedMethodNames) {
+          const originalMethod = gsap[methodName];
+          if (typeof originalMethod !== "function") {
+            continue;
+          }
+
+          gsap[methodName] = function patchedGsapMethod() {
+            const createdAt = gsap.globalTimeline?.time?.() ?? 0;
+            const animation = originalMethod.apply(this, arguments);
+            if (animation && typeof animation.totalTime === "function") {
+              trackedAnimations.set(animation, createdAt);
+            }
+            return animation;
+          };
+        }
+
+        return gsap;
+      };
+
+      let currentValue;
+      try {
+        currentValue = window.gsap;
+        delete window.gsap;
+      } catch (error) {
+        currentValue = undefined;
+      }
+
+      // GSAP's UMD bundle publishes itself by assigning `window.gsap`, so an
+      // accessor lets us patch the instance before page scripts use it.
+      Object.defineProperty(window, "gsap", {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return currentValue;
+        },
+        set(value) {
+          currentValue = patchGsap(value);
+        },
+      });
+
+      if (typeof currentValue !== "undefined") {
+        currentValue = patchGsap(currentValue);
+      }
+    },
+  },
+  {
+    name: "lottie-web animation tracking",
+    detect: () =>
+      (window.__captureAutomation?.getTrackedLottieAnimations?.() || [])
+        .length > 0,
+    // Records lottie AnimationItems so they can be stepped under virtual time.
+    initScript: () => {
+      const automationState = (window.__captureAutomation ||= {});
+
+      if (automationState.lottiePatched) {
+        return;
+      }
+
+      automationState.lottiePatched = true;
+
+      const patchedPlayers = new WeakSet();
+      const trackedItems = (automationState.lottieTrackedItems ||= new Set());
+      const players = new Set();
+
+      // Combines items created through loadAnimation with those lottie found
+      // on its own (for example via searchAnimations on `.lottie` elements).
+      automationState.getTrackedLottieAnimations = () => {
+        const items = new Set(trackedItems);
+        for (const player of players) {
+          try {
+            for (const item of player.getRegisteredAnimations?.() || []) {
+              items.add(item);
+            }
+          } catch (error) {
+            automationState.reportSyncFailure?.(
+              "Failed to list registered lottie animations",
+              error
+            );
+          }
+        }
+        return Array.from(items);
+      };
+
+      // Maps a virtual timestamp to the frame an item shows after playing for
+      // that long. Looping items wrap around (`loop: n` plays n + 1 times, as
+      // in lottie) and finite ones hold their last frame. Reversed items, with
+      // a negative direction or speed, run from the last frame to the first
+      // and hold the first one.
+      automationState.resolveLottieFrame = (targetTimeMs, item) => {
+        const totalFrames = item.totalFrames;
+        const frameModifier = Number.isFinite(item.frameModifier)
+          ? item.frameModifier
+          : (item.frameRate / 1000) *
+            (item.playSpeed ?? 1) *
+            (item.playDirection ?? 1);
+        let frame = targetTimeMs * Math.abs(frameModifier);
+
+        if (!Number.isFinite(totalFrames) || totalFrames <= 0) {
+          return frame;
+        }
+
+        const loopCount =
+          item.loop === true
+            ? Infinity
+            : typeof item.loop === "number"
+              ? item.loop + 1
+              : 1;
+
+        if (frame < totalFrames * loopCount) {
+          frame %= totalFrames;
+        } else {
+          frame = totalFrames - 1;
+        }
+
+        return frameModifier < 0 ? totalFrames - 1 - frame : frame;
+      };
+
+      // Lottie's own RAF loop stalls under virtual time, so each capture stops
+      // every loaded item on the frame that matches the virtual timestamp.
+      automationState.seekLottieAnimations = (targetTimeMs) => {
+        let seeked = 0;
+
+        for (const item of automationState.getTrackedLottieAnimations()) {
+          if (
+            !item ||
+            typeof item.goToAndStop !== "function" ||
+            !item.isLoaded
+          ) {
+            continue;
+          }
+
+          try {
+            item.goToAndStop(
+              automationState.resolveLottieFrame(targetTimeMs, item),
+              true
+            );
+            seeked += 1;
+          } catch (error) {
+            automationState.reportSyncFailure?.(
+              "Failed to seek lottie animation to target time",
+              error
+            );
+          }
+        }
+
+        return seeked;
+      };
+
+      const patchPlayer = (player) => {
+        if (
+          !player ||
+          typeof player !== "object" ||
+          typeof player.loadAnimation !== "function" ||
+          patchedPlayers.has(player)
+        ) {
+          return player;
+        }
+
+        patchedPlayers.add(player);
+        players.add(player);
+
+        const originalLoadAnimation = player.loadAnimation;
+        player.loadAnimation = function patchedLoadAnimation() {
+          const item = originalLoadAnimation.apply(this, arguments);
+          if (item && typeof item === "object") {
+            trackedItems.add(item);
+          }
+          return item;
+        };
+
+        return player;
+      };
+
+      // lottie-web's UMD bundle publishes `window.lottie` and, for backwards
+      // compatibility, `window.bodymovin`; intercept both assignments.
+      for (const globalName of ["lottie", "bodymovin"]) {
+        let currentValue;
+        try {
+          currentValue = window[globalName];
+          delete window[globalName];
+        } catch (error) {
+          currentValue = undefined;
+        }
+
+        Object.defineProperty(window, globalName, {
+          configurable: true,
+          enumerable: true,
+          get() {
+            return currentValue;
+          },
+          set(value) {
+            currentValue = patchPlayer(value);
+          },
+        });
+
+        if (typeof currentValue !== "undefined") {
+          currentValue = patchPlayer(currentValue);
+        }
+      }
+    },
+  },
+  {
+    name: "animated image frame control",
+    detect: () =>
+      (window.__captureAutomation?.listAnimatedImageSources?.() || []).length >
+      0,
+    // Replaces the browser's own GIF/APNG/WebP playback with decoded frames
+    // chosen from the virtual timestamp.
+    initScript: () => {
+      const automationState = (window.__captureAutomation ||= {});
+
+      if (automationState.animatedImagesPatched) {
+        return;
+      }
+
+      automationState.animatedImagesPatched = true;
+
+      // Decoded timelines keyed by original image URL (null for images that
+      // turned out to be static), and the original URL of every <img> whose
+      // source has been swapped for a decoded frame.
+      const decodedImages = new Map();
+      const swappedImages = new WeakMap();
+      // Sources whose decoding took too long; a late result is dropped so the
+      // image does not start swapping frames halfway through a series.
+      const abandonedSources = new Set();
+      // Chromium plays GIF frames of 10 ms or less at 100 ms.
+      const MIN_FRAME_DURATION_MS = 10;
+      const DEFAULT_FRAME_DURATION_MS = 100;
+
+      // Lays decoded frame durations out on a timeline with the same timings
+      // as Chromium. Resolves to `{ startsMs, durationMs }`: the start of each
+      // frame and the length of one play.
+      automationState.buildAnimatedImageTimeline = (frameDurationsMs) => {
+        const startsMs = [];
+        let durationMs = 0;
+
+        for (const frameDurationMs of frameDurationsMs) {
+          startsMs.push(durationMs);
+          durationMs +=
+            frameDurationMs > MIN_FRAME_DURATION_MS
+              ? frameDurationMs
+              : DEFAULT_FRAME_DURATION_MS;
+        }
+
+        return { startsMs, durationMs };
+      };
+
+      // Index of the frame shown `targetTimeMs` into playback. Looping images
+      // wrap around; finite ones hold their last frame after `playCount` plays.
+      automationState.resolveAnimatedImageFrame = (
+        { startsMs, durationMs, playCount },
+        targetTimeMs
+      ) => {
+        if (targetTimeMs >= durationMs * playCount) {
+          return startsMs.length - 1;
+        }
+
+        const loopTimeMs = targetTimeMs % durationMs;
+        return startsMs.findLastIndex((startMs) => startMs <= loopTimeMs);
+      };
+
+      const resolveOriginalSource = (image) => {
+        const swapped = swappedImages.get(image);
+        if (swapped && image.src === swapped.frameUrl) {
+          return swapped.source;
+        }
+        return image.currentSrc || image.src;
+      };
+
+      // Responsive images pick their own source, so only plain `src` images
+      // can be swapped frame by frame.
+      const listSwappableImages = () =>
+        Array.from(document.images).filter(
+          (image) =>
+            !image.srcset && image.parentElement?.localName !== "picture"
+        );
+
+      automationState.listUndecodedImageSources = () => {
+        const sources = new Set();
+        for (const image of listSwappableImages()) {
+          const source = resolveOriginalSource(image);
+          if (
+            source &&
+            !source.startsWith("blob:") &&
+            !decodedImages.has(source)
+          ) {
+            sources.add(source);
+          }
+        }
+        return Array.from(sources);
+      };
+
+      // Decodes every frame of an animated image with ImageDecoder and keeps
+      // each one as a preloaded PNG blob so later swaps render synchronously.
+      automationState.registerAnimatedImage = async (
+        source,
+        base64Data,
+        type
+      ) => {
+        decodedImages.set(source, null);
+
+        if (!base64Data || typeof ImageDecoder !== "function") {
+          return 0;
+        }
+
+        const bytes = Uint8Array.from(atob(base64Data), (char) =>
+          char.charCodeAt(0)
+        );
+        const decoder = new ImageDecoder({ data: bytes, type });
+
+        try {
+          await decoder.tracks.ready;
+          await decoder.completed;
+
+          const track = decoder.tracks.selectedTrack;
+          if (!track?.animated || track.frameCount < 2) {
+            return 0;
+          }
+
+          const canvas = document.createElement("canvas");
+          const context = canvas.getContext("2d");
+          const frameUrls = [];
+          const frameDurationsMs = [];
+          const preloads = [];
+
+          for (
+            let frameIndex = 0;
+            frameIndex < track.frameCount;
+            frameIndex += 1
+          ) {
+            const { image: frame } = await decoder.decode({ frameIndex });
+
+            try {
+              canvas.width = frame.displayWidth;
+              canvas.height = frame.displayHeight;
+              context.clearRect(0, 0, canvas.width, canvas.height);
+              context.drawImage(frame, 0, 0);
+
+              const blob = await new Promise((resolve) =>
+                canvas.toBlob(resolve, "image/png")
+              );
+              const preload = new Image();
+              preload.src = URL.createObjectURL(blob);
+              await preload.decode();
+
+              frameUrls.push(preload.src);
+              frameDurationsMs.push((frame.duration ?? 0) / 1000);
+              preloads.push(preload);
+            } finally {
+              frame.close();
+            }
+          }
+
+          if (abandonedSources.has(source)) {
+            return 0;
+          }
+
+          decodedImages.set(source, {
+            ...automationState.buildAnimatedImageTimeline(frameDurationsMs),
+            frameUrls,
+            preloads,
+            playCount: track.repetitionCount + 1,
+          });
+          return frameUrls.length;
+        } finally {
+          decoder.close();
+        }
+      };
+
+      // Points each animated <img> at the decoded frame for the timestamp.
+      // Looping images wrap around; finite ones hold their last frame.
+      automationState.seekAnimatedImages = (targetTimeMs) => {
+        let seeked = 0;
+
+        for (const image of listSwappableImages()) {
+          const source = resolveOriginalSource(image);
+          const timeline = decodedImages.get(source);
+
+          if (!timeline) {
+            continue;
+          }
+
+          const frameUrl =
+            timeline.frameUrls[
+              automationState.resolveAnimatedImageFrame(timeline, targetTimeMs)
+            ];
+
+          if (image.src !== frameUrl) {
+            image.src = frameUrl;
+          }
+
+          swappedImages.set(image, { source, frameUrl });
+          seeked += 1;
+        }
+
+        return seeked;
+      };
+
+      automationState.abandonAnimatedImage = (source) => {
+        abandonedSources.add(source);
+      };
+
+      automationState.listAnimatedImageSources = () =>
+        Array.from(decodedImages)
+          .filter(([, timeline]) => timeline)
+          .map(([source]) => source);
+
+      automationState.animatedImagesSettled = () =>
+        listSwappableImages().every(
+          (image) => !swappedImages.has(image) || image.complete
+        );
+    },
+  },
+]);
+
+// Turns a page-side hook into source text that evaluates to the function.
+// Accepts function expressions, arrow functions and method shorthand such as
+// `synchronize(targetTimeMs) { ... }`, which is not an expression on its own.
+function serializePageFunction(fn) {
+  const source = fn.toString();
+
+  try {
+    new Function(`return (${source});`);
+    return `(${source})`;
+  } catch (error) {
+    return `({ ${source} })[${JSON.stringify(fn.name)}]`;
+  }
+}
+
+// Loads an external framework patch module. Modules export the same shape as
+// FRAMEWORK_PATCHES entries: a `name`, an `initScript` (function or source
+// string) and optional page-side `detect()` and `synchronize(targetTimeMs)`
+// hooks.
+function loadFrameworkPatch(modulePath) {
+  let patch;
+
+  try {
+    patch = require(modulePath);
+  } catch (error) {
+    throw new Error(
+      `Failed to load the framework patch module "${modulePath}": ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  patch = patch?.__esModule ? patch.default : patch;
+
+  if (!patch || typeof patch !== "object") {
+    throw new Error(
+      `Expected the framework patch module "${modulePath}" to export an object.`
+    );
+  }
+
+  if (typeof patch.name !== "string" || patch.name.trim() === "") {
+    throw new Error(
+      `Expected the framework patch module "${modulePath}" to export a non-empty "name".`
+    );
+  }
+
+  if (
+    typeof patch.initScript !== "function" &&
+    typeof patch.initScript !== "string"
+  ) {
+    throw new Error(
+      `Expected the framework patch "${patch.name}" to export "initScript" as a function or source string.`
+    );
+  }
+
+  for (const hook of ["detect", "synchronize"]) {
+    if (patch[hook] !== undefined && typeof patch[hook] !== "function") {
+      throw new Error(
+        `Expected "${hook}" of the framework patch "${patch.name}" to be a function.`
+      );
+    }
+  }
+
+  return Object.freeze({
+    name: patch.name,
+    initScript: patch.initScript,
+    detect: patch.detect,
+    synchronize: patch.synchronize,
+    modulePath,
+  });
+}
+
+function loadFrameworkPatches(modulePaths) {
+  const names = new Set(FRAMEWORK_PATCHES.map((patch) => patch.name));
+
+  return Object.freeze(
+    modulePaths.map((modulePath) => {
+      assertNonEmptyString(modulePath, "each config.patchModules entry");
+      const patch = loadFrameworkPatch(modulePath);
+
+      if (names.has(patch.name)) {
+        throw new Error(
+          `The framework patch name "${patch.name}" from "${modulePath}" is already in use.`
+        );
+      }
+
+      names.add(patch.name);
+      return patch;
+    })
+  );
+}
+
+// Registers an external patch's hooks on window.__captureAutomation so
+// synchronizeAnimationState can call them, then runs its init script.
+function buildExternalPatchScript(patch) {
+  const initSource =
+    typeof patch.initScript === "function"
+      ? `${serializePageFunction(patch.initScript)}();`
+      : patch.initScript;
+
+  return `(() => {
+  const automationState = (window.__captureAutomation ||= {});
+  (automationState.externalPatches ||= []).push({
+    name: ${JSON.stringify(patch.name)},
+    detect: ${patch.detect ? serializePageFunction(patch.detect) : "null"},
+    synchronize: ${patch.synchronize ? serializePageFunction(patch.synchronize) : "null"},
+  });
+})();
+${initSource}`;
+}
+
+// Confirms the example directory exists so captures have input files to process.
+async function ensureDirectoryAvailable(directoryPath) {
+  try {
+    await fs.access(directoryPath);
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      throw new Error(
+        `Expected directory "${directoryPath}" to exist. Add animation examples under assets/example/ or point --examples at another directory.`
+      );
+    }
+
+    throw error;
+  }
+}
+
+// Ensures the requested animation HTML file is available under the example directory.
+async function ensureAnimationFileAvailable(directoryPath, animationFile) {
+  const animationPath = path.resolve(directoryPath, animationFile);
+
+  try {
+    const stats = await fs.stat(animationPath);
+    if (!stats.isFile()) {
+      throw new Error(
+        `Expected "${animationFile}" to be a file inside ${directoryPath}.`
+      );
+    }
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      throw new Error(
+        `Unable to find "${animationFile}" in ${directoryPath}. Ensure the file exists before running the capture script.`
+      );
+    }
+
+    throw error;
+  }
+
+  return animationPath;
+}
+
+// Lists the HTML files under `rootDir` as "/"-separated relative paths. The
+// recursive walk skips dot directories, node_modules and `excludeDir` so a
+// report written under the root is never picked up as an animation.
+async function listHtmlFiles(rootDir, recursive, excludeDir) {
+  const files = [];
+
+  const visit = async (relativeDir) => {
+    const entries = await fs.readdir(path.join(rootDir, relativeDir), {
+      withFileTypes: true,
+    });
+
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+
+      if (entry.isDirectory?.()) {
+        if (
+          recursive &&
+          !entry.name.startsWith(".") &&
+          entry.name !== "node_modules" &&
+          path.resolve(rootDir, relativePath) !== excludeDir
+        ) {
+          await visit(relativePath);
+        }
+      } else if (
+        (entry.isFile?.() || entry.isSymbolicLink?.()) &&
+        HTML_FILE_PATTERN.test(entry.name)
+      ) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await visit("");
+  return files;
+}
+
+// Resolves the animation pattern to the files to capture, relative to
+// `directoryPath`. Patterns without a "/" only match the top level; the rest
+// walk subdirectories. A URL resolves to itself.
+async function resolveAnimationFiles(
+  directoryPath,
+  animationPattern,
+  excludeDir = null
+) {
+  if (isAnimationUrl(animationPattern)) {
+    return [animationPattern];
+  }
+
+  if (!containsWildcards(animationPattern)) {
+    await ensureAnimationFileAvailable(directoryPath, animationPattern);
+    return [animationPattern];
+  }
+
+  let candidates;
+  try {
+    candidates = await listHtmlFiles(
+      directoryPath,
+      animationPattern.includes("/"),
+      excludeDir && path.resolve(excludeDir)
+    );
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      throw new Error(
+        `Expected directory "${directoryPath}" to exist. Add animation examples under assets/example/.`
+      );
+    }
+
+    throw error;
+  }
+
+  const matcher = wildcardToRegExp(animationPattern);
+  const matches = candidates.filter((candidate) => matcher.test(candidate));
+
+  matches.sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" })
+  );
+
+  if (matches.length === 0) {
+    throw new Error(
+      `No files matched pattern "${animationPattern}" in ${directoryPath}. Adjust the pattern and retry.`
+    );
+  }
+
+  return matches;
+}
+
+// Uses the Chrome DevTools Protocol to advance the virtual clock by a specific budget.
+async function advanceVirtualTime(client, budgetMs) {
+  return new Promise((resolve, reject) => {
+    // Resolves the promise when the DevTools budget event fires.
+    const handleBudgetExpired = () => resolve();
+
+    client.once("Emulation.virtualTimeBudgetExpired", handleBudgetExpired);
+
+    client
+      .send("Emulation.setVirtualTimePolicy", {
+        policy: "pauseIfNetworkFetchesPending",
+        budget: budgetMs,
+      })
+      .catch((error) => {
+        client.off("Emulation.virtualTimeBudgetExpired", handleBudgetExpired);
+        reject(error);
+      });
+  });
+}
+
+// Timestamps are kept to microsecond precision so fps-based timelines stay
+// exact enough without accumulating floating point noise.
+function roundTimestamp(timestampMs) {
+  return Math.round(timestampMs * 1000) / 1000;
+}
+
+// Timeline steps are at least 1 ms apart, the 1000 fps that --fps allows, and
+// a timeline holds at most MAX_TIMELINE_FRAMES timestamps.
+const MIN_TIMELINE_STEP_MS = 1;
+const MAX_TIMELINE_FRAMES = 10_000;
+
+function assertTimelineFrameCount(frameCount, description) {
+  if (frameCount > MAX_TIMELINE_FRAMES) {
+    throw new Error(
+      `Expected ${description} to have at most ${MAX_TIMELINE_FRAMES} frames. It has ${frameCount}.`
+    );
+  }
+}
+
+// Produces a monotonically increasing series of timestamps from `startMs`
+// (default 0) culminating in the target time. Intervals may be fractional so
+// frame rates such as 30 fps map onto 33.333 ms steps, but not below
+// MIN_TIMELINE_STEP_MS.
+function buildCaptureTimeline(targetTimeMs, intervalMs, startMs = 0) {
+  const sanitizedTarget = Math.max(0, roundTimestamp(targetTimeMs));
+
+  if (!Number.isFinite(sanitizedTarget)) {
+    return [0];
+  }
+
+  const timeline = [];
+
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    timeline.push(sanitizedTarget);
+    return timeline;
+  }
+
+  if (intervalMs < MIN_TIMELINE_STEP_MS) {
+    throw new Error(
+      `Expected a timeline step of at least ${MIN_TIMELINE_STEP_MS}ms (1000 fps). Received ${intervalMs}ms.`
+    );
+  }
+
+  const sanitizedStart = Number.isFinite(startMs)
+    ? Math.min(Math.max(0, roundTimestamp(startMs)), sanitizedTarget)
+    : 0;
+  assertTimelineFrameCount(
+    Math.ceil((sanitizedTarget - sanitizedStart) / intervalMs) + 1,
+    `the timeline from ${sanitizedStart}ms to ${sanitizedTarget}ms every ${roundTimestamp(intervalMs)}ms`
+  );
+
+  // Multiplying instead of accumulating keeps fractional steps from drifting.
+  for (let index = 0; ; index += 1) {
+    const timestamp = roundTimestamp(sanitizedStart + index * intervalMs);
+    if (timestamp >= sanitizedTarget) {
+      break;
+    }
+    timeline.push(timestamp);
+  }
+
+  if (
+    timeline.length === 0 ||
+    timeline[timeline.length - 1] !== sanitizedTarget
+  ) {
+    timeline.push(sanitizedTarget);
+  }
+
+  return timeline;
+}
+
+const TIMELINE_TIME_PATTERN = /^(\d+(?:\.\d+)?|\.\d+)\s*(ms|s)?$/i;
+const TIMELINE_FPS_PATTERN = /^(\d+(?:\.\d+)?)\s*fps$/i;
+const TIMELINE_NAME_PATTERN = /^([a-z][\w-]*)\s*=\s*(.+)$/i;
+const TIMELINE_RANGE_PATTERN = /^(.+?)\.\.([^@]+)(?:@(.+))?$/;
+
+function parseTimelineTime(value, entry) {
+  const match = TIMELINE_TIME_PATTERN.exec(value.trim());
+
+  if (!match) {
+    throw new Error(
+      `Invalid timestamp "${value.trim()}" in timeline entry "${entry}". Use milliseconds such as 1500 or seconds such as 1.5s.`
+    );
+  }
+
+  const amount = Number(match[1]);
+  return roundTimestamp(
+    match[2]?.toLowerCase() === "s" ? amount * 1000 : amount
+  );
+}
+
+// Parses a comma-separated timeline spec into ascending `{ timestampMs, name }`
+// entries. Each entry is a timestamp ("1337", "1.5s"), a named timestamp
+// ("peak=1337") or a range ("1000..4000@250", "0..2s@30fps"); ranges without
+// "@step" use `defaultStepMs`. Duplicate timestamps collapse into one entry,
+// keeping the name if any entry for that timestamp has one.
+function parseTimelineSpec(spec, defaultStepMs) {
+  const entries = [];
+
+  for (const rawEntry of String(spec).split(",")) {
+    const entry = rawEntry.trim();
+
+    if (entry === "") {
+      continue;
+    }
+
+    const namedMatch = TIMELINE_NAME_PATTERN.exec(entry);
+    if (namedMatch) {
+      entries.push({
+        timestampMs: parseTimelineTime(namedMatch[2], entry),
+        name: namedMatch[1],
+      });
+      continue;
+    }
+
+    const rangeMatch = TIMELINE_RANGE_PATTERN.exec(entry);
+    if (rangeMatch) {
+      const startMs = parseTimelineTime(rangeMatch[1], entry);
+      const endMs = parseTimelineTime(rangeMatch[2], entry);
+      let stepMs = defaultStepMs;
+
+      if (rangeMatch[3] !== undefined) {
+        const fpsMatch = TIMELINE_FPS_PATTERN.exec(rangeMatch[3].trim());
+        stepMs = fpsMatch
+          ? 1000 / Number(fpsMatch[1])
+          : parseTimelineTime(rangeMatch[3], entry);
+      }
+
+      if (endMs < startMs) {
+        throw new Error(
+          `Expected the timeline range "${entry}" to end after it starts.`
+        );
+      }
+
+      if (!Number.isFinite(stepMs) || stepMs <= 0) {
+        throw new Error(
+          `Expected a positive step in the timeline range "${entry}".`
+        );
+      }
+
+      if (stepMs < MIN_TIMELINE_STEP_MS) {
+        throw new Error(
+          `Expected the step of the timeline range "${entry}" to be at least ${MIN_TIMELINE_STEP_MS}ms (1000 fps).`
+        );
+      }
+
+      for (const timestampMs of buildCaptureTimeline(endMs, stepMs, startMs)) {
+        entries.push({ timestampMs });
+      }
+      continue;
+    }
+
+    entries.push({ timestampMs: parseTimelineTime(entry, entry) });
+  }
+
+  if (entries.length === 0) {
+    throw new Error(
+      `Expected at least one timestamp in the timeline "${spec}".`
+    );
+  }
+
+  const byTimestamp = new Map();
+  for (const entry of entries) {
+    const existing = byTimestamp.get(entry.timestampMs);
+    if (!existing || (!existing.name && entry.name)) {
+      byTimestamp.set(entry.timestampMs, entry);
+    }
+  }
+  assertTimelineFrameCount(byTimestamp.size, `the timeline "${spec}"`);
+
+  return Array.from(byTimestamp.values()).sort(
+    (a, b) => a.timestampMs - b.timestampMs
+  );
+}
+
+// Spacing between generated timeline steps: 1000 / framesPerSecond when that
+// is set, otherwise frameCaptureIntervalMs.
+function resolveTimelineStepMs(config) {
+  return config.framesPerSecond
+    ? 1000 / config.framesPerSecond
+    : config.frameCaptureIntervalMs;
+}
+
+// Resolves the capture timeline for a configuration as `{ timestampMs, name }`
+// entries: an explicit `timeline` spec or list wins; otherwise timestamps run
+// from timelineStartMs to targetTimeMs every frameCaptureIntervalMs, or at
+// framesPerSecond when that is set. With targetTimeMs "auto" the end is only
+// known once the page has loaded, so this resolves to null and
+// captureTimelineFrames() asks the page instead.
+function resolveCaptureTimeline(config) {
+  const intervalMs = resolveTimelineStepMs(config);
+
+  if (typeof config.timeline === "string") {
+    return parseTimelineSpec(config.timeline, intervalMs);
+  }
+
+  if (Array.isArray(config.timeline)) {
+    return normalizeCaptureTimeline(config.timeline).map((timestampMs) => ({
+      timestampMs: roundTimestamp(timestampMs),
+    }));
+  }
+
+  if (config.targetTimeMs === "auto") {
+    return null;
+  }
+
+  return buildCaptureTimeline(
+    config.targetTimeMs,
+    intervalMs,
+    config.timelineStartMs
+  ).map((timestampMs) => ({ timestampMs }));
+}
+
+// Formats a timestamp for file names: the integer part is zero-padded so names
+// sort in timeline order, and fractional frames keep `fractionDigits` decimals.
+function formatTimestampLabel(timestampMs, integerDigits, fractionDigits) {
+  const [integerPart, fractionPart = ""] = timestampMs
+    .toFixed(fractionDigits)
+    .split(".");
+  const paddedInteger = integerPart.padStart(integerDigits, "0");
+  return fractionDigits > 0
+    ? `${paddedInteger}.${fractionPart}`
+    : paddedInteger;
+}
+
+// Counts the decimals (up to three) needed to print a timestamp exactly.
+function countTimestampDecimals(timestampMs) {
+  const [, fraction = ""] = String(roundTimestamp(timestampMs)).split(".");
+  return fraction.length;
+}
+
+// Page-side half of detectAnimationEndTime: the latest end, in milliseconds,
+// of the page's Web Animations (CSS animations and transitions included),
+// tracked anime.js instances and media elements, or null when nothing reports
+// a duration. Anything that repeats forever counts `iterations` iterations.
+function findAnimationEndTime(iterations) {
+  const ANIME_ENDLESS_MS = 1e12;
+  const repeat = (count) => (Number.isFinite(count) ? count : iterations);
+  const endTimes = [];
+
+  for (const animation of document.getAnimations()) {
+    const timing = animation.effect?.getComputedTiming?.();
+    if (!timing) {
+      continue;
+    }
+
+    endTimes.push(
+      Number.isFinite(timing.endTime)
+        ? timing.endTime
+        : (timing.delay || 0) +
+            (Number(timing.duration) || 0) * repeat(timing.iterations) +
+            (timing.endDelay || 0)
+    );
+  }
+
+  const automationState = window.__captureAutomation;
+  const animeInstances = new Set(
+    (automationState?.getTrackedAnimeInstances?.() || []).concat(
+      Array.isArray(window.anime?.running) ? window.anime.running : []
+    )
+  );
+  // anime.js v4 reports one iteration as `iterationDuration` and the whole run
+  // as `duration`, which it caps at 1e12 for endless loops; v3 only has the
+  // per-iteration `duration` and a `loop` setting.
+  const asEndless = (value) => (value >= ANIME_ENDLESS_MS ? Infinity : value);
+  for (const instance of animeInstances) {
+    if (Number.isFinite(instance?.iterationDuration)) {
+      const loopDelay = Number(instance._loopDelay) || 0;
+      const count = asEndless(Number(instance.iterationCount) || 1);
+      endTimes.push(
+        (instance.iterationDuration + loopDelay) * repeat(count) - loopDelay
+      );
+    } else if (Number.isFinite(instance?.duration)) {
+      const loops =
+        instance.loop === true ? Infinity : Number(instance.loop) || 1;
+      endTimes.push(asEndless(instance.duration) * repeat(loops));
+    }
+  }
+
+  for (const media of document.querySelectorAll("video, audio")) {
+    if (Number.isFinite(media.duration) && media.duration > 0) {
+      endTimes.push(media.duration * 1000 * (media.loop ? iterations : 1));
+    }
+  }
+
+  const latest = Math.max(0, ...endTimes.filter(Number.isFinite));
+  return latest > 0 ? latest : null;
+}
+
+// Works out when the page's animations end for targetTimeMs "auto" (see
+// findAnimationEndTime). Resolves to whole milliseconds, or null when nothing
+// on the page reports a duration.
+async function detectAnimationEndTime(page, iterations) {
+  const endTimeMs = await page.evaluate(findAnimationEndTime, iterations);
+
+  return endTimeMs === null ? null : Math.ceil(roundTimestamp(endTimeMs));
+}
+
+// Locks requestAnimationFrame, Web Animations, media elements, anime.js, GSAP and lottie state to a specific timestamp before a capture.
+// Seeks that throw in the page are reported through `logger.warn`.
+async function synchronizeAnimationState(page, targetTimeMs, logger = console) {
+  const failures = await page.evaluate((targetTimeMs) => {
+    const automationState = window.__captureAutomation;
+    const failures = [];
+    const reportFailure = (message, error) => {
+      failures.push(`${message}: ${error?.message ?? error}`);
+    };
+    let rafTimestamp = targetTimeMs;
+    let restorePerformanceNow;
+
+    if (automationState?.setPerformanceNowOverride) {
+      try {
+        const overrideValue =
+          automationState.setPerformanceNowOverride(targetTimeMs);
+        if (Number.isFinite(overrideValue)) {
+          rafTimestamp = overrideValue;
+        }
+        restorePerformanceNow = () => {
+          try {
+            automationState.setPerformanceNowOverride();
+          } catch (error) {
+            reportFailure("Failed to restore performance.now()", error);
+          }
+        };
+      } catch (error) {
+        reportFailure("Failed to override performance.now()", error);
+      }
+    }
+
+    const animations = document.getAnimations();
+    for (const animation of animations) {
+      try {
+        animation.currentTime = targetTimeMs;
+        animation.pause();
+      } catch (error) {
+        reportFailure("Failed to fast-forward animation", error);
+      }
+    }
+
+    let executedCallbacks = 0;
+    let pendingRafCount = 0;
+    let pendingCountKnown = false;
+
+    if (automationState?.flushRafCallbacks) {
+      try {
+        const count = automationState.flushRafCallbacks(rafTimestamp);
+        if (Number.isFinite(count)) {
+          executedCallbacks += count;
+        }
+      } catch (error) {
+        reportFailure("Failed to flush requestAnimationFrame callbacks", error);
+      }
+    }
+
+    if (automationState?.runRafCallbacksImmediately) {
+      try {
+        const count = automationState.runRafCallbacksImmediately(rafTimestamp);
+        if (Number.isFinite(count)) {
+          executedCallbacks += count;
+        }
+      } catch (error) {
+        reportFailure(
+          "Failed to invoke requestAnimationFrame callbacks directly",
+          error
+        );
+      }
+    }
+
+    if (typeof automationState?.countPendingRafCallbacks === "function") {
+      try {
+        const pending = automationState.countPendingRafCallbacks();
+        if (Number.isFinite(pending)) {
+          pendingRafCount = pending;
+          pendingCountKnown = true;
+        }
+      } catch (error) {
+        reportFailure(
+          "Failed to inspect requestAnimationFrame callback state",
+          error
+        );
+      }
+    }
+
+    const shouldReplayCallbacks =
+      (pendingCountKnown && pendingRafCount === 0) ||
+      (!pendingCountKnown && executedCallbacks === 0);
+
+    if (shouldReplayCallbacks) {
+      let replayedCount = 0;
+
+      if (automationState?.runMostRecentRafCallbacks) {
+        try {
+          const count = automationState.runMostRecentRafCallbacks(
+            rafTimestamp
+          );
+          if (Number.isFinite(count)) {
+            replayedCount += count;
+          }
+        } catch (error) {
+          reportFailure(
+            "Failed to replay most recent requestAnimationFrame callbacks",
+            error
+          );
+        }
+      }
+
+      if (replayedCount === 0 && automationState?.runLoopedRafCallbacks) {
+        try {
+          automationState.runLoopedRafCallbacks(rafTimestamp);
+        } catch (error) {
+          reportFailure(
+            "Failed to replay cached requestAnimationFrame callbacks",
+            error
+          );
+        }
+      }
+    }
+
+    const trackedInstances = (
+      automationState?.getTrackedAnimeInstances?.() || []
+    ).concat(Array.isArray(window.anime?.running) ? window.anime.running : []);
+
+    const seen = new Set();
+
+    for (const instance of trackedInstances) {
+      if (
+        !instance ||
+        typeof instance.seek !== "function" ||
+        seen.has(instance)
+      ) {
+        continue;
+      }
+
+      seen.add(instance);
+
+      try {
+        instance.seek(targetTimeMs);
+      } catch (error) {
+        reportFailure("Failed to seek anime.js instance to target time", error);
+      }
+    }
+
+    // Media elements keep decoding on their own clock, so pin each one to the
+    // virtual timestamp (wrapping looping media) and keep it paused.
+    for (const media of document.querySelectorAll("video, audio")) {
+      try {
+        const duration = media.duration;
+        let mediaTime = targetTimeMs / 1000;
+
+        if (Number.isFinite(duration) && duration > 0) {
+          mediaTime = media.loop
+            ? mediaTime % duration
+            : Math.min(mediaTime, duration);
+        }
+
+        media.pause();
+        if (media.currentTime !== mediaTime) {
+          media.currentTime = mediaTime;
+        }
+      } catch (error) {
+        reportFailure("Failed to seek media element to target time", error);
+      }
+    }
+
+    if (typeof automationState?.seekGsapAnimations === "function") {
+      try {
+        automationState.seekGsapAnimations(targetTimeMs);
+      } catch (error) {
+        reportFailure("Failed to seek GSAP animations to target time", error);
+      }
+    }
+
+    if (typeof automationState?.seekLottieAnimations === "function") {
+      try {
+        automationState.seekLottieAnimations(targetTimeMs);
+      } catch (error) {
+        reportFailure("Failed to seek lottie animations to target time", error);
+      }
+    }
+
+    if (typeof automationState?.seekAnimatedImages === "function") {
+      try {
+        automationState.seekAnimatedImages(targetTimeMs);
+      } catch (error) {
+        reportFailure("Failed to seek animated images to target time", error);
+      }
+    }
+
+    // External patches run last; `detect` lets a patch skip pages that do not
+    // use its framework.
+    for (const patch of automationState?.externalPatches || []) {
+      if (typeof patch.synchronize !== "function") {
+        continue;
+      }
+
+      try {
+        if (typeof patch.detect === "function" && !patch.detect()) {
+          continue;
+        }
+
+        patch.synchronize(targetTimeMs);
+      } catch (error) {
+        reportFailure(
+          `Failed to synchronize framework patch "${patch.name}"`,
+          error
+        );
+      }
+    }
+
+    if (typeof restorePerformanceNow === "function") {
+      restorePerformanceNow();
+    }
+
+    return failures.concat(automationState?.syncFailures?.splice(0) ?? []);
+  }, targetTimeMs);
+
+  for (const failure of failures) {
+    logger.warn(`${failure} (synchronizing to ${targetTimeMs}ms)`);
+  }
+}
+
+// Detects image payloads that may carry several frames: any GIF, PNGs with an
+// animation control chunk (APNG) and WebPs with the VP8X animation flag.
+// Resolves to the MIME type to hand to ImageDecoder, or null.
+function detectAnimatedImageType(buffer) {
+  if (
+    buffer.length >= 6 &&
+    /^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6))
+  ) {
+    return "image/gif";
+  }
+
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+      const type = buffer.toString("latin1", offset + 4, offset + 8);
+      if (type === "acTL") {
+        return "image/png";
+      }
+      if (type === "IDAT" || type === "IEND") {
+        break;
+      }
+      offset += 12 + buffer.readUInt32BE(offset);
+    }
+    return null;
+  }
+
+  if (
+    buffer.length >= 21 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 16) === "WEBPVP8X" &&
+    (buffer[20] & 0x02) !== 0
+  ) {
+    return "image/webp";
+  }
+
+  return null;
+}
+
+// Reads the bytes behind an <img> URL. Local files are read from disk because
+// file:// pages cannot fetch them. URLs matching config.routes are answered
+// from the route, as the page's own request was; other URLs go through the
+// page's request context so cookies still apply. Resolves to null for
+// unsupported schemes and unsuccessful responses.
+async function readImageSource(page, source, config) {
+  const url = new URL(source);
+
+  if (url.protocol === "file:") {
+    return fs.readFile(fileURLToPath(url));
+  }
+
+  if (url.protocol === "data:") {
+    const separator = source.indexOf(",");
+    const metadata = source.slice(0, separator);
+    const payload = source.slice(separator + 1);
+    return /;base64$/i.test(metadata)
+      ? Buffer.from(payload, "base64")
+      : Buffer.from(decodeURIComponent(payload), "latin1");
+  }
+
+  if (url.protocol === "http:" || url.protocol === "https:") {
+    const requestRoute = findRequestRoute(config.routes || [], source);
+    if (requestRoute) {
+      const { status, body } = await buildRouteResponse(requestRoute);
+      return status >= 200 && status < 300 ? Buffer.from(body) : null;
+    }
+
+    const response = await page.request.get(source);
+    return response.ok() ? response.body() : null;
+  }
+
+  return null;
+}
+
+// Upper bound for decoding one animated image's frames in the page. Virtual
+// time is paused meanwhile, so a stuck decoder would otherwise hang the capture.
+const ANIMATED_IMAGE_DECODE_TIMEOUT_MS = 10_000;
+
+// Hands every animated <img> source the page has not seen yet to the
+// "animated image frame control" patch, which decodes its frames up front.
+// An image that takes longer than `timeoutMs` to decode is abandoned and keeps
+// the browser's own playback.
+async function prepareAnimatedImages(
+  page,
+  config,
+  logger = console,
+  timeoutMs = ANIMATED_IMAGE_DECODE_TIMEOUT_MS
+) {
+  const sources = await page.evaluate(
+    () => window.__captureAutomation?.listUndecodedImageSources?.() || []
+  );
+
+  for (const source of sources) {
+    let bytes = null;
+
+    try {
+      bytes = await readImageSource(page, source, config);
+    } catch (error) {
+      logger.warn(`Failed to read image ${source}: ${error.message}`);
+    }
+
+    const type = bytes ? detectAnimatedImageType(bytes) : null;
+
+    let timer;
+    try {
+      const registration = page.evaluate(
+        ({ source, data, type }) =>
+          window.__captureAutomation.registerAnimatedImage(source, data, type),
+        { source, data: type ? bytes.toString("base64") : null, type }
+      );
+      // The page may still settle after the timeout, or fail once the context
+      // closes; neither matters any more.
+      registration.catch(() => {});
+      const timedOut = await Promise.race([
+        registration.then(() => false),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(true), timeoutMs);
+        }),
+      ]);
+
+      if (timedOut) {
+        logger.warn(
+          `Decoding animated image ${source} took longer than ${timeoutMs}ms; it keeps its own playback.`
+        );
+        await page.evaluate(
+          (source) => window.__captureAutomation.abandonAnimatedImage(source),
+          source
+        );
+      }
+    } catch (error) {
+      logger.warn(
+        `Failed to decode animated image ${source}: ${error.message}`
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Upper bound for how long a capture waits for media elements and swapped
+// image frames to be ready.
+const FRAME_READY_TIMEOUT_MS = 2_000;
+const FRAME_READY_POLL_INTERVAL_MS = 20;
+// Virtual time granted per poll so pending seeks and image loads can complete.
+const FRAME_READY_VIRTUAL_STEP_MS = 1;
+
+// Waits until every media element has finished the seek started by
+// synchronizeAnimationState and has decoded the frame at its new position, and
+// every swapped animated image has loaded its frame. Decoders work in real
+// time, but the tasks that complete a seek only run once virtual time moves,
+// so each poll grants the page a 1 ms budget. Resolves to whether the page
+// settled and how much virtual time was consumed.
+async function waitForDecodedFrames(
+  page,
+  client,
+  timeoutMs = FRAME_READY_TIMEOUT_MS
+) {
+  const deadline = Date.now() + timeoutMs;
+  let advancedMs = 0;
+
+  for (;;) {
+    const ready = await page.evaluate(
+      () =>
+        Array.from(document.querySelectorAll("video, audio")).every(
+          (media) =>
+            media.error ||
+            media.networkState === HTMLMediaElement.NETWORK_NO_SOURCE ||
+            (!media.seeking &&
+              media.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA)
+        ) &&
+        (window.__captureAutomation?.animatedImagesSettled?.() ?? true)
+    );
+
+    if (ready || Date.now() >= deadline) {
+      return { ready, advancedMs };
+    }
+
+    await page.waitForTimeout(FRAME_READY_POLL_INTERVAL_MS);
+    await advanceVirtualTime(client, FRAME_READY_VIRTUAL_STEP_MS);
+    advancedMs += FRAME_READY_VIRTUAL_STEP_MS;
+  }
+}
+
+// Pins the page to `timestampMs` and waits for the media seeks and image swaps
+// that started. When the wait had to advance virtual time, the page is pinned
+// back to the timestamp, which can start another seek, so the wait repeats
+// until a round settles without moving the clock. All rounds share one
+// `timeoutMs` budget. Resolves to `{ ready, advancedMs }` like
+// waitForDecodedFrames; failed seeks are written to `logger`.
+async function synchronizeDecodedFrames(
+  page,
+  client,
+  timestampMs,
+  logger = console,
+  timeoutMs = FRAME_READY_TIMEOUT_MS
+) {
+  const deadline = Date.now() + timeoutMs;
+  let advancedMs = 0;
+
+  await synchronizeAnimationState(page, timestampMs, logger);
+
+  for (;;) {
+    const frameState = await waitForDecodedFrames(
+      page,
+      client,
+      Math.max(0, deadline - Date.now())
+    );
+    advancedMs += frameState.advancedMs;
+
+    if (!frameState.ready || frameState.advancedMs === 0) {
+      return { ready: frameState.ready, advancedMs };
+    }
+
+    await synchronizeAnimationState(page, timestampMs, logger);
+  }
+}
+
+// Restores performance.now() to its native implementation so upcoming virtual time
+// advances reflect the browser-provided timestamp rather than a fixed override.
+async function restorePerformanceNow(page, logger = console) {
+  const failure = await page.evaluate(() => {
+    const overrideSetter =
+      window.__captureAutomation?.setPerformanceNowOverride;
+
+    if (typeof overrideSetter !== "function") {
+      return null;
+    }
+
+    try {
+      overrideSetter();
+      return null;
+    } catch (error) {
+      return `Failed to restore performance.now(): ${error?.message ?? error}`;
+    }
+  });
+
+  if (failure) {
+    logger.warn(failure);
+  }
+}
+
+// Adds a Playwright init script that counts requestAnimationFrame ticks for bootstrap tracking.
+async function injectRafProbe(context) {
+  // Sets up instrumentation before any page script runs inside the context.
+  await context.addInitScript(() => {
+    const automationState = (window.__captureAutomation ||= {});
+    automationState.rafTickCount = 0;
+
+    // Page-side failures are queued rather than written to the page console;
+    // synchronizeAnimationState hands them to the capture's logger.
+    automationState.syncFailures = [];
+    automationState.reportSyncFailure = (message, error) => {
+      automationState.syncFailures.push(
+        `${message}: ${error?.message ?? error}`
+      );
+    };
+
+    const originalRequestAnimationFrame =
+      window.requestAnimationFrame.bind(window);
+    const originalCancelAnimationFrame =
+      window.cancelAnimationFrame.bind(window);
+    const originalPerformanceNow = performance.now.bind(performance);
+    automationState.originalPerformanceNow = originalPerformanceNow;
+
+    const performanceNowState = {
+      active: false,
+      baseline: null,
+      overrideValue: null,
+    };
+
+    const ensurePerformanceBaseline = () => {
+      if (performanceNowState.baseline !== null) {
+        return performanceNowState.baseline;
+      }
+
+      const value = originalPerformanceNow();
+      performanceNowState.baseline = value;
+      automationState.firstPerformanceNow = value;
+      return value;
+    };
+
+    Object.defineProperty(performance, "now", {
+      configurable: true,
+      value: () => {
+        if (!performanceNowState.active) {
+          const value = originalPerformanceNow();
+          if (performanceNowState.baseline === null) {
+            performanceNowState.baseline = value;
+            automationState.firstPerformanceNow = value;
+          }
+          return value;
+        }
+
+        return performanceNowState.overrideValue;
+      },
+    });
+
+    const pendingCallbacks = new Map();
+    const registeredCallbacks = new Map();
+    const callbackStats = new Map();
+    const loopCallbacks = new Set();
+    const lastExecutedCallbacks = new Set();
+    automationState.disableRafScheduling = false;
+
+    // Remembers callbacks that have run at least once so stopped RAF loops can
+    // be revived when virtual time seeks backwards.
+    const recordExecutedCallback = (callback) => {
+      if (typeof callback !== "function") {
+        return;
+      }
+
+      lastExecutedCallbacks.add(callback);
+    };
+
+    window.requestAnimationFrame = (callback) => {
+      if (automationState.disableRafScheduling) {
+        return 0;
+      }
+
+      let stats = callbackStats.get(callback);
+      if (!stats) {
+        stats = { scheduledCount: 0 };
+        callbackStats.set(callback, stats);
+      }
+
+      stats.scheduledCount += 1;
+
+      if (stats.scheduledCount >= 2) {
+        loopCallbacks.add(callback);
+      }
+
+      let handle;
+      const wrapped = (timestamp) => {
+        automationState.rafTickCount += 1;
+        pendingCallbacks.delete(handle);
+        registeredCallbacks.delete(handle);
+
+        try {
+          return callback(timestamp);
+        } finally {
+          recordExecutedCallback(callback);
+        }
+      };
+      handle = originalRequestAnimationFrame((timestamp) => wrapped(timestamp));
+      pendingCallbacks.set(handle, { callback, wrapped });
+      registeredCallbacks.set(handle, callback);
+      return handle;
+    };
+
+    window.cancelAnimationFrame = (handle) => {
+      pendingCallbacks.delete(handle);
+      registeredCallbacks.delete(handle);
+      return originalCancelAnimationFrame(handle);
+    };
+
+    // Milliseconds the page's performance.now() has moved since its first
+    // reading, whether it is pinned to a capture step or running between
+    // steps. Date follows it so the two clocks always agree.
+    automationState.getVirtualTimeOffset = () =>
+      performance.now() - ensurePerformanceBaseline();
+
+    automationState.setPerformanceNowOverride = (fixedTimestamp) => {
+      if (typeof fixedTimestamp === "number") {
+        const baseline = ensurePerformanceBaseline();
+        performanceNowState.overrideValue = baseline + fixedTimestamp;
+        performanceNowState.active = true;
+        return performanceNowState.overrideValue;
+      }
+
+      performanceNowState.overrideValue = null;
+      performanceNowState.active = false;
+      return null;
+    };
+
+    automationState.flushRafCallbacks = (targetTimestamp) => {
+      if (pendingCallbacks.size === 0) {
+        return 0;
+      }
+
+      const callbacks = Array.from(pendingCallbacks.entries());
+      pendingCallbacks.clear();
+      let executed = 0;
+
+      const previousDisable = automationState.disableRafScheduling;
+      automationState.disableRafScheduling = true;
+
+      try {
+        for (const [handle, { wrapped }] of callbacks) {
+          try {
+            wrapped(targetTimestamp);
+            executed += 1;
+          } catch (error) {
+            automationState.reportSyncFailure(
+              "Failed to flush requestAnimationFrame callback",
+              error
+            );
+          }
+
+          registeredCallbacks.delete(handle);
+        }
+      } finally {
+        automationState.disableRafScheduling = previousDisable;
+      }
+
+      return executed;
+    };
+
+    automationState.runRafCallbacksImmediately = (targetTimestamp) => {
+      if (registeredCallbacks.size === 0) {
+        return 0;
+      }
+
+      const callbacks = Array.from(registeredCallbacks.entries());
+      let executed = 0;
+
+      const previousDisable = automationState.disableRafScheduling;
+      automationState.disableRafScheduling = true;
+
+      try {
+        for (const [handle, callback] of callbacks) {
+          try {
+            registeredCallbacks.delete(handle);
+            pendingCallbacks.delete(handle);
+            callback.call(window, targetTimestamp);
+            recordExecutedCallback(callback);
+            executed += 1;
+          } catch (error) {
+            automationState.reportSyncFailure(
+              "Failed to invoke requestAnimationFrame callback directly",
+              error
+            );
+          }
+        }
+      } finally {
+        automationState.disableRafScheduling = previousDisable;
+      }
+
+      return executed;
+    };
+
+    automationState.runLoopedRafCallbacks = (targetTimestamp) => {
+      if (loopCallbacks.size === 0) {
+        return 0;
+      }
+
+      let executed = 0;
+
+      const previousDisable = automationState.disableRafScheduling;
+      automationState.disableRafScheduling = true;
+
+      try {
+        for (const callback of loopCallbacks) {
+          try {
+            callback.call(window, targetTimestamp);
+            recordExecutedCallback(callback);
+            executed += 1;
+          } catch (error) {
+            automationState.reportSyncFailure(
+              "Failed to replay looping requestAnimationFrame callback",
+              error
+            );
+          }
+        }
+      } finally {
+        automationState.disableRafScheduling = previousDisable;
+      }
+
+      return executed;
+    };
+
+    automationState.countPendingRafCallbacks = () =>
+      pendingCallbacks.size + registeredCallbacks.size;
+
+    // Describes the callbacks classified as loops (scheduled at least twice)
+    // for --inspect: the function name, how often it was scheduled and the
+    // start of its source so anonymous loops can still be recognised.
+    automationState.describeRafLoops = () =>
+      Array.from(loopCallbacks, (callback) => ({
+        name: callback.name || null,
+        scheduledCount: callbackStats.get(callback)?.scheduledCount || 0,
+        source: Function.prototype.toString
+          .call(callback)
+          .replace(/\s+/g, " ")
+          .slice(0, 80),
+      }));
+
+    // Replays the most recently executed RAF callbacks even if they are not
+    // classified as loops so timestamp displays can roll back.
+    automationState.runMostRecentRafCallbacks = (targetTimestamp) => {
+      if (lastExecutedCallbacks.size === 0) {
+        return 0;
+      }
+
+      let executed = 0;
+
+      const previousDisable = automationState.disableRafScheduling;
+      automationState.disableRafScheduling = true;
+
+      try {
+        for (const callback of lastExecutedCallbacks) {
+          try {
+            callback.call(window, targetTimestamp);
+            recordExecutedCallback(callback);
+            executed += 1;
+          } catch (error) {
+            automationState.reportSyncFailure(
+              "Failed to replay most recent requestAnimationFrame callback",
+              error
+            );
+          }
+        }
+      } finally {
+        automationState.disableRafScheduling = previousDisable;
+      }
+
+      return executed;
+    };
+  });
+}
+
+// Page-side replacement for Date and Math.random(). Date reports a fixed epoch
+// plus the RAF probe's virtual clock, which is the same clock performance.now()
+// reads; Math.random() becomes a mulberry32 generator seeded with `seed`.
+function installDeterministicGlobals({ epochMs, seed }) {
+  const automationState = (window.__captureAutomation ||= {});
+  const NativeDate = Date;
+
+  const currentTime = () =>
+    Math.floor(epochMs + (automationState.getVirtualTimeOffset?.() ?? 0));
+
+  function VirtualDate(...args) {
+    if (!new.target) {
+      return new NativeDate(currentTime()).toString();
+    }
+
+    return Reflect.construct(
+      NativeDate,
+      args.length > 0 ? args : [currentTime()],
+      new.target
+    );
+  }
+
+  Object.setPrototypeOf(VirtualDate, NativeDate);
+  VirtualDate.prototype = NativeDate.prototype;
+  VirtualDate.now = currentTime;
+  Object.defineProperty(NativeDate.prototype, "constructor", {
+    configurable: true,
+    writable: true,
+    value: VirtualDate,
+  });
+  window.Date = VirtualDate;
+
+  let randomState = seed >>> 0;
+  Math.random = () => {
+    randomState = (randomState + 0x6d2b79f5) >>> 0;
+    let value = randomState;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Installs installDeterministicGlobals() before page scripts run, so repeated
+// runs of the same page see the same clock readings and random numbers.
+async function injectDeterministicGlobals(context, config) {
+  await context.addInitScript(installDeterministicGlobals, {
+    epochMs: VIRTUAL_DATE_EPOCH_MS,
+    seed: config.randomSeed,
+  });
+}
+
+// Installs the built-in and any external framework patches before page scripts
+// execute and returns the names of the patches that were installed successfully.
+async function injectFrameworkPatches(
+  context,
+  externalPatches = [],
+  logger = console
+) {
+  const appliedPatches = [];
+
+  for (const patch of FRAMEWORK_PATCHES) {
+    try {
+      await context.addInitScript(patch.initScript);
+      appliedPatches.push(patch.name);
+    } catch (error) {
+      logger.warn(`Failed to apply framework patch "${patch.name}":`, error);
+    }
+  }
+
+  for (const patch of externalPatches) {
+    try {
+      await context.addInitScript({ content: buildExternalPatchScript(patch) });
+      appliedPatches.push(patch.name);
+    } catch (error) {
+      logger.warn(`Failed to apply framework patch "${patch.name}":`, error);
+    }
+  }
+
+  return appliedPatches;
+}
+
+// Waits for initial real-time ticks so animations can initialize before virtual time control begins.
+async function waitForAnimationBootstrap(page, config) {
+  if (config.maxInitialRealtimeWaitMs <= 0) {
+    return;
+  }
+
+  const initialWait = Math.min(
+    config.minInitialRealtimeWaitMs,
+    config.maxInitialRealtimeWaitMs
+  );
+
+  if (initialWait > 0) {
+    await page.waitForTimeout(initialWait);
+  }
+
+  const remainingBudget = Math.max(
+    0,
+    config.maxInitialRealtimeWaitMs - initialWait
+  );
+
+  if (remainingBudget === 0 || config.minRafTicksBeforeVirtualTime <= 0) {
+    return;
+  }
+
+  try {
+    await page.waitForFunction(
+      // Waits until the page has observed enough RAF ticks for the bootstrap heuristics.
+      (minTicks) => (window.__captureAutomation?.rafTickCount || 0) >= minTicks,
+      config.minRafTicksBeforeVirtualTime,
+      { timeout: remainingBudget }
+    );
+  } catch (error) {
+    if (!/Timeout/i.test(error?.message || "")) {
+      throw error;
+    }
+  }
+}
+
+// Derives the output path prefix for an animation, relative to outputDir.
+// Bare names stay flat, subdirectories of the capture root are mirrored
+// ("ads/banner.html" -> "ads/banner") and URLs nest under their host
+// ("http://localhost:8080/ads/banner.html" -> "localhost-8080/ads/banner").
+// A URL's query string is appended as a slug so "?v=1" and "?v=2" stay apart
+// ("banner-v-2"), and IPv6 hosts lose their brackets and colons ("[::1]" ->
+// "--1"). Empty, "." and ".." segments are dropped so the prefix never leaves
+// outputDir.
+function buildScreenshotBasename(animationFile) {
+  let source = animationFile.replace(HTML_FILE_PATTERN, "");
+
+  if (isAnimationUrl(animationFile)) {
+    const url = new URL(animationFile);
+    const host = url.hostname.replace(/[[\]]/g, "").replace(/:/g, "-");
+    const pathname = url.pathname.endsWith("/")
+      ? `${url.pathname}index`
+      : url.pathname.replace(HTML_FILE_PATTERN, "");
+    const querySlug = url.search
+      .slice(1)
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-+|-+$/g, "");
+    source = `${host}${url.port ? `-${url.port}` : ""}${pathname}${querySlug ? `-${querySlug}` : ""}`;
+  }
+
+  const safeName = source
+    .replace(/\\/g, "-")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+  return safeName || "animation";
+}
+
+// Assigns each file of a batch the prefix its screenshots, previews and
+// contact sheets share. Two files can map to the same names, such as
+// "banner.html" and "banner.htm", or "a.html" captured with --selector "#stage"
+// and "a-stage.html"; the later one is numbered ("banner-2"). `fileConfigs`
+// maps files to their settings, whose `selectors` add a series per region.
+function buildScreenshotBasenames(animationFiles, fileConfigs = new Map()) {
+  const used = new Set();
+
+  return new Map(
+    animationFiles.map((animationFile) => {
+      const base = buildScreenshotBasename(animationFile);
+      const regionSlugs = buildRegionSlugs(
+        fileConfigs.get(animationFile)?.selectors || []
+      );
+      const seriesNames = (basename) =>
+        (regionSlugs.length > 0
+          ? regionSlugs.map((slug) => `${basename}-${slug}`)
+          : [basename]
+        ).map((name) => name.toLowerCase());
+      let basename = base;
+
+      for (
+        let suffix = 2;
+        seriesNames(basename).some((name) => used.has(name));
+        suffix += 1
+      ) {
+        basename = `${base}-${suffix}`;
+      }
+
+      seriesNames(basename).forEach((name) => used.add(name));
+      return [animationFile, basename];
+    })
+  );
+}
+
+// Derives a file-name-safe slug for each selector ("#stage" -> "stage"),
+// numbering repeats so every region keeps its own file series.
+function buildRegionSlugs(selectors) {
+  const used = new Set();
+
+  return selectors.map((selector) => {
+    const base =
+      selector
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "region";
+    let slug = base;
+
+    for (let suffix = 2; used.has(slug); suffix += 1) {
+      slug = `${base}-${suffix}`;
+    }
+
+    used.add(slug);
+    return slug;
+  });
+}
+
+// Expands the capture matrix into `{ name, viewport, deviceScaleFactor }`
+// variants, one per viewport and scale factor ("mobile@2x"). Without a matrix
+// the single variant is unnamed so its outputs keep their usual location.
+function buildCaptureVariants(config) {
+  const viewports = config.viewports || [];
+  const deviceScaleFactors = config.deviceScaleFactors || [1];
+
+  if (viewports.length === 0 && deviceScaleFactors.length === 1) {
+    return [
+      {
+        name: null,
+        viewport: config.viewport,
+        deviceScaleFactor: deviceScaleFactors[0],
+      },
+    ];
+  }
+
+  const namedViewports =
+    viewports.length > 0
+      ? viewports
+      : [
+          {
+            name: `${config.viewport.width}x${config.viewport.height}`,
+            ...config.viewport,
+          },
+        ];
+
+  return namedViewports.flatMap(({ name, width, height }) =>
+    deviceScaleFactors.map((deviceScaleFactor) => ({
+      name: `${name}@${deviceScaleFactor}x`,
+      viewport: Object.freeze({ width, height }),
+      deviceScaleFactor,
+    }))
+  );
+}
+
+// Measures the bounding box of the element matched by `selector`, or null when
+// nothing visible matches. The element is looked up without Playwright's
+// auto-waiting, which would stall under paused virtual time.
+async function measureRegionBox(page, selector) {
+  const element = await page.$(selector);
+  const box = element ? await element.boundingBox() : null;
+  await element?.dispose();
+
+  return box && box.width > 0 && box.height > 0 ? box : null;
+}
+
+// Cuts `clip` (in CSS pixels) out of a viewport screenshot `viewportWidth` CSS
+// pixels wide, whatever its device scale factor.
+function cropPng(buffer, clip, viewportWidth) {
+  const source = PNG.sync.read(buffer);
+  const scale = source.width / viewportWidth;
+  const left = Math.max(0, Math.floor(clip.x * scale));
+  const top = Math.max(0, Math.floor(clip.y * scale));
+  const right = Math.min(
+    source.width,
+    Math.ceil((clip.x + clip.width) * scale)
+  );
+  const bottom = Math.min(
+    source.height,
+    Math.ceil((clip.y + clip.height) * scale)
+  );
+  const cropped = new PNG({ width: right - left, height: bottom - top });
+
+  PNG.bitblt(source, cropped, left, top, right - left, bottom - top, 0, 0);
+  return PNG.sync.write(cropped);
+}
+
+// Crops the viewport screenshots of selector captures to one clip per region:
+// the union of the element's boxes over every timestamp, plus
+// config.selectorPadding, clamped to the viewport. Every frame of a series
+// thus has the same size and shows the element wherever it moved. Each frame
+// carries the `box` measured at its timestamp, null while the element was
+// hidden; a region that was never visible fails the capture.
+function cropRegionFrames(frames, config, viewport, label) {
+  const padding = config.selectorPadding || 0;
+  const clips = new Map();
+
+  for (const { region, selector } of frames) {
+    if (clips.has(region)) {
+      continue;
+    }
+
+    const boxes = frames
+      .filter((frame) => frame.region === region && frame.box)
+      .map((frame) => frame.box);
+    const x = Math.max(0, Math.min(...boxes.map((box) => box.x)) - padding);
+    const y = Math.max(0, Math.min(...boxes.map((box) => box.y)) - padding);
+    const right = Math.min(
+      viewport.width,
+      Math.max(...boxes.map((box) => box.x + box.width)) + padding
+    );
+    const bottom = Math.min(
+      viewport.height,
+      Math.max(...boxes.map((box) => box.y + box.height)) + padding
+    );
+
+    if (boxes.length === 0 || right <= x || bottom <= y) {
+      throw new Error(
+        `The selector "${selector}" matched no visible element in ${label} at any captured timestamp.`
+      );
+    }
+
+    clips.set(region, { x, y, width: right - x, height: bottom - y });
+  }
+
+  return frames.map(({ box, buffer, ...frame }) => {
+    const cropped = cropPng(buffer, clips.get(frame.region), viewport.width);
+    return { ...frame, buffer: cropped, ...readPngDimensions(cropped) };
+  });
+}
+
+// Opens `source` (`{ url }` or `{ html }`) in a fresh browser context with the
+// capture instrumentation installed (request routes, RAF probe, deterministic
+// globals and framework patches) and waits through the real-time bootstrap
+// pre-roll. Resolves to `{ context, page, frameworkPatches, dependencies,
+// routedFiles, unmatchedRequests }`; `dependencies` keeps collecting local
+// requests until the caller closes `context`.
+async function openAnimationPage(browser, source, config, logger = console) {
+  const context = await browser.newContext({
+    viewport: config.viewport,
+    deviceScaleFactor: config.deviceScaleFactor || 1,
+  });
+  const dependencies = new Set();
+  context.on("request", (request) => {
+    const localPath = resolveLocalRequestPath(
+      request.url(),
+      config.staticServer
+    );
+    if (localPath) {
+      dependencies.add(localPath);
+    }
+  });
+
+  try {
+    const localOrigins = [
+      config.staticServer?.origin,
+      /^https?:/i.test(source.url || "") ? new URL(source.url).origin : null,
+    ].filter(Boolean);
+    const { unmatchedRequests, routedFiles } = await installRequestRoutes(
+      context,
+      config,
+      localOrigins,
+      logger
+    );
+    await injectRafProbe(context);
+    await injectDeterministicGlobals(context, config);
+    const frameworkPatches = await injectFrameworkPatches(
+      context,
+      config.externalPatches,
+      logger
+    );
+    const page = await context.newPage();
+
+    if (source.html !== undefined) {
+      await page.setContent(source.html, { waitUntil: "load" });
+    } else {
+      await page.goto(source.url, { waitUntil: "load" });
+    }
+
+    // Allow a slice of real time so requestAnimationFrame callbacks (and any
+    // animation framework lifecycle hooks) can run before we seize control of
+    // virtual time. The RAF probe waits for a minimum number of ticks—up to a
+    // 1s cap—to cover animations that rely on several frames of bootstrap work
+    // before reaching their steady state.
+    await waitForAnimationBootstrap(page, config);
+
+    return {
+      context,
+      page,
+      frameworkPatches,
+      dependencies,
+      routedFiles,
+      unmatchedRequests,
+    };
+  } catch (error) {
+    await context.close();
+    throw error;
+  }
+}
+
+// Loads a page in a fresh browser context, steps it through the `timeline`
+// entries (`{ timestampMs, name }`) under virtual time and resolves to
+// `{ frames, frameworkPatches, dependencies, unmatchedRequests,
+// autoTargetTimeMs }`, where each
+// frame is `{ timestampMs, name, region, selector, buffer, width, height }`
+// holding the PNG screenshot. Selector captures yield one frame per region and timestamp.
+// `dependencies` lists the local files the page requested, through file: URLs,
+// config.staticServer or config.routes, and `unmatchedRequests` the external
+// URLs that no route answered. A null `timeline` (targetTimeMs "auto") ends
+// where the page's animations do; `autoTargetTimeMs` reports that end.
+// `source` is either `{ url }` or `{ html }`; `label` names the page in warnings
+// written to `logger`.
+async function captureTimelineFrames(
+  browser,
+  source,
+  timeline,
+  config,
+  label,
+  logger = console
+) {
+  const {
+    context,
+    page,
+    frameworkPatches,
+    dependencies,
+    routedFiles,
+    unmatchedRequests,
+  } = await openAnimationPage(browser, source, config, logger);
+
+  try {
+    let autoTargetTimeMs = null;
+    if (timeline === null) {
+      autoTargetTimeMs = await detectAnimationEndTime(
+        page,
+        config.autoTargetIterations ?? 1
+      );
+      if (autoTargetTimeMs === null) {
+        logger.warn(
+          `Found no animation with a known end in ${label}; capturing up to ${DEFAULT_TARGET_TIME_MS}ms.`
+        );
+        autoTargetTimeMs = DEFAULT_TARGET_TIME_MS;
+      }
+      timeline = resolveCaptureTimeline({
+        ...config,
+        targetTimeMs: autoTargetTimeMs,
+      });
+    }
+
+    const client = await context.newCDPSession(page);
+
+    await client.send("Emulation.setVirtualTimePolicy", {
+      policy: "pauseIfNetworkFetchesPending",
+      budget: 0,
+      initialVirtualTime: 0,
+    });
+
+    const selectors = config.selectors || [];
+    const regions =
+      selectors.length > 0
+        ? buildRegionSlugs(selectors).map((slug, index) => ({
+            slug,
+            selector: selectors[index],
+          }))
+        : [{ slug: null, selector: null }];
+    const frames = [];
+    let currentVirtualTime = 0;
+
+    for (const [index, { timestampMs, name }] of timeline.entries()) {
+      const normalizedTimestamp = Math.max(0, roundTimestamp(timestampMs));
+      const delta = normalizedTimestamp - currentVirtualTime;
+
+      if (delta > 0) {
+        await restorePerformanceNow(page, logger);
+        await advanceVirtualTime(client, delta);
+        currentVirtualTime = normalizedTimestamp;
+      }
+
+      const settleDelay =
+        index === timeline.length - 1
+          ? config.postVirtualTimeWaitMs
+          : config.interstepRealtimeWaitMs;
+
+      if (settleDelay > 0) {
+        await page.waitForTimeout(settleDelay);
+      }
+
+      await prepareAnimatedImages(page, config, logger);
+      const frameState = await synchronizeDecodedFrames(
+        page,
+        client,
+        normalizedTimestamp,
+        logger
+      );
+      // The wait may have nudged the virtual clock forward.
+      currentVirtualTime += frameState.advancedMs;
+
+      if (!frameState.ready) {
+        logger.warn(
+          `Media elements or animated images in ${label} were not ready at ${normalizedTimestamp}ms; capturing anyway.`
+        );
+      }
+
+      // Selector captures share this screenshot and are cropped once every
+      // timestamp has reported where their element is.
+      const buffer = await page.screenshot({
+        omitBackground: Boolean(config.omitBackground),
+      });
+      for (const region of regions) {
+        frames.push({
+          timestampMs: normalizedTimestamp,
+          ...(name ? { name } : {}),
+          ...(region.slug
+            ? {
+                region: region.slug,
+                selector: region.selector,
+                box: await measureRegionBox(page, region.selector),
+              }
+            : {}),
+          buffer,
+          ...readPngDimensions(buffer),
+        });
+      }
+    }
+
+    await restorePerformanceNow(page, logger);
+
+    return {
+      frames:
+        selectors.length > 0
+          ? cropRegionFrames(
+              frames,
+              config,
+              page.viewportSize() || config.viewport,
+              label
+            )
+          : frames,
+      frameworkPatches,
+      dependencies: Array.from(
+        new Set([...dependencies, ...routedFiles])
+      ).sort(),
+      unmatchedRequests: Array.from(unmatchedRequests),
+      autoTargetTimeMs,
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+// Lists what a bootstrapped page animates for --inspect: Web Animations (CSS
+// animations and transitions included), tracked anime.js instances, the RAF
+// callbacks the probe classified as loops and media elements. Durations are in
+// milliseconds and endless repeats are reported as "infinite".
+async function collectAnimationInventory(page) {
+  return page.evaluate(() => {
+    const describeElement = (element, pseudoElement = null) => {
+      if (!element?.localName) {
+        return null;
+      }
+
+      const id = element.id ? `#${element.id}` : "";
+      const classes = Array.from(element.classList || [])
+        .slice(0, 2)
+        .map((name) => `.${name}`)
+        .join("");
+      return `${element.localName}${id}${classes}${pseudoElement || ""}`;
+    };
+    const toCount = (value) => (Number.isFinite(value) ? value : "infinite");
+    const automationState = window.__captureAutomation;
+
+    const animations = document.getAnimations().map((animation) => {
+      const effect = animation.effect;
+      const timing = effect?.getComputedTiming?.() || {};
+      // CSS animations carry animation-timing-function on their keyframes.
+      const keyframeEasing = effect?.getKeyframes?.()[0]?.easing;
+      let type = "WebAnimation";
+      let name = animation.id || null;
+      if (
+        typeof CSSAnimation === "function" &&
+        animation instanceof CSSAnimation
+      ) {
+        type = "CSSAnimation";
+        name = animation.animationName;
+      } else if (
+        typeof CSSTransition === "function" &&
+        animation instanceof CSSTransition
+      ) {
+        type = "CSSTransition";
+        name = animation.transitionProperty;
+      }
+
+      return {
+        type,
+        name,
+        target: describeElement(effect?.target, effect?.pseudoElement),
+        durationMs: Number(timing.duration) || 0,
+        delayMs: timing.delay || 0,
+        iterations: toCount(timing.iterations),
+        easing:
+          timing.easing === "linear" && keyframeEasing
+            ? keyframeEasing
+            : timing.easing || "linear",
+        playState: animation.playState,
+      };
+    });
+
+    const animeInstances = Array.from(
+      new Set(
+        (automationState?.getTrackedAnimeInstances?.() || []).concat(
+          Array.isArray(window.anime?.running) ? window.anime.running : []
+        )
+      ),
+      (instance) => ({
+        id: instance.id ?? null,
+        durationMs: Number(instance.duration) || 0,
+        loop: instance.loop === true ? "infinite" : Number(instance.loop) || 1,
+        direction: instance.direction || "normal",
+        autoplay: Boolean(instance.autoplay),
+        children: Array.isArray(instance.children)
+          ? instance.children.length
+          : 0,
+        targets: Array.from(
+          new Set(
+            (instance.animatables || [])
+              .map((animatable) => describeElement(animatable.target))
+              .filter(Boolean)
+          )
+        ),
+      })
+    );
+
+    const media = Array.from(
+      document.querySelectorAll("video, audio"),
+      (element) => ({
+        element: describeElement(element),
+        source: element.currentSrc || element.src || null,
+        durationMs: Number.isFinite(element.duration)
+          ? element.duration * 1000
+          : null,
+        loop: element.loop,
+        autoplay: element.autoplay,
+        muted: element.muted,
+        paused: element.paused,
+      })
+    );
+
+    return {
+      animations,
+      animeInstances,
+      rafLoops: automationState?.describeRafLoops?.() || [],
+      media,
+    };
+  });
+}
+
+// Reports each installed framework patch as active when its page-side
+// `detect()` finds the framework, inactive when it does not, and null when
+// the patch has no detect hook.
+async function detectActiveFrameworkPatches(page) {
+  const results = [];
+
+  for (const patch of FRAMEWORK_PATCHES) {
+    results.push({
+      name: patch.name,
+      active: patch.detect ? Boolean(await page.evaluate(patch.detect)) : null,
+    });
+  }
+
+  const external = await page.evaluate(() =>
+    (window.__captureAutomation?.externalPatches || []).map((patch) => {
+      try {
+        return {
+          name: patch.name,
+          active:
+            typeof patch.detect === "function" ? Boolean(patch.detect()) : null,
+        };
+      } catch {
+        return { name: patch.name, active: false };
+      }
+    })
+  );
+  return results.concat(external);
+}
+
+// Opens an animation like a capture would and resolves to its inventory:
+// `{ file, frameworkPatches, animations, animeInstances, rafLoops, media }`.
+async function inspectAnimationFile(
+  browser,
+  animationFile,
+  config,
+  logger = console
+) {
+  const { context, page } = await openAnimationPage(
+    browser,
+    { url: resolveAnimationPageUrl(animationFile, config) },
+    config,
+    logger
+  );
+
+  try {
+    // Animated images are decoded lazily; do it now so their patch can
+    // report whether it found any.
+    await prepareAnimatedImages(page, config, logger);
+    return {
+      file: animationFile,
+      frameworkPatches: await detectActiveFrameworkPatches(page),
+      ...(await collectAnimationInventory(page)),
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+// Renders an inventory as the indented text --inspect prints.
+function formatAnimationInventory(inventory) {
+  const section = (title, items, describe) =>
+    items.length === 0
+      ? [`  ${title}: none`]
+      : [
+          `  ${title} (${items.length}):`,
+          ...items.map((item) => `    - ${describe(item)}`),
+        ];
+  const iterations = (count) =>
+    count === "infinite" ? "infinite iterations" : `${count} iteration(s)`;
+
+  return [
+    inventory.file,
+    ...section("Web Animations", inventory.animations, (animation) =>
+      [
+        `${animation.type}${animation.name ? ` "${animation.name}"` : ""}`,
+        animation.target ? `on ${animation.target}` : null,
+        `${animation.durationMs}ms`,
+        animation.delayMs ? `after ${animation.delayMs}ms` : null,
+        iterations(animation.iterations),
+        animation.easing,
+        animation.playState,
+      ]
+        .filter(Boolean)
+        .join(", ")
+        .replace(/, on /, " on ")
+    ),
+    ...section("anime.js instances", inventory.animeInstances, (instance) =>
+      [
+        `${instance.id === null ? "instance" : `#${instance.id}`}: ${instance.durationMs}ms`,
+        iterations(instance.loop),
+        instance.direction,
+        instance.children > 0 ? `${instance.children} child(ren)` : null,
+        instance.targets.length > 0
+          ? `targets ${instance.targets.join(" ")}`
+          : null,
+      ]
+        .filter(Boolean)
+        .join(", ")
+    ),
+    ...section(
+      "requestAnimationFrame loops",
+      inventory.rafLoops,
+      (loop) =>
+        `${loop.name || "(anonymous)"}, scheduled ${loop.scheduledCount} times: ${loop.source}`
+    ),
+    ...section("Media elements", inventory.media, (element) =>
+      [
+        `${element.element} ${element.source || "(no source)"}`,
+        element.durationMs === null
+          ? "duration unknown"
+          : `${Math.round(element.durationMs)}ms`,
+        element.loop ? "loop" : null,
+        element.muted ? "muted" : null,
+        element.paused ? "paused" : "playing",
+      ]
+        .filter(Boolean)
+        .join(", ")
+    ),
+    ...section(
+      "Framework patches",
+      inventory.frameworkPatches,
+      (patch) =>
+        `${patch.name}: ${patch.active === null ? "installed" : patch.active ? "active" : "inactive"}`
+    ),
+  ].join("\n");
+}
+
+// URL Chromium navigates to for an animation: URLs as-is, files through the
+// local server when one is running.
+function resolveAnimationPageUrl(animationFile, config) {
+  return isAnimationUrl(animationFile)
+    ? animationFile
+    : buildPageUrl(
+        path.resolve(config.exampleDir, animationFile),
+        config.staticServer
+      );
+}
+
+// Opens an example file, fast-forwards its animations, and saves screenshots for each capture timestamp.
+// Resolves to the captured frames in timeline order as `{ timestampMs, path, width, height }`
+// records together with the names of the framework patches that were installed,
+// the local files the page loaded, its unmatched external requests and the end
+// detected for --target auto.
+async function captureAnimationFile(
+  browser,
+  animationFile,
+  config,
+  logger = console
+) {
+  const { frames, ...pageDetails } = await captureTimelineFrames(
+    browser,
+    { url: resolveAnimationPageUrl(animationFile, config) },
+    resolveCaptureTimeline(config),
+    config,
+    animationFile,
+    logger
+  );
+
+  // Every name in a run shares the same padding and decimals so they sort in
+  // timeline order; whole-millisecond timelines keep the plain "0200ms" form.
+  const finalTimestamp = frames[frames.length - 1]?.timestampMs || 0;
+  const integerDigits = Math.max(4, String(Math.floor(finalTimestamp)).length);
+  const fractionDigits = Math.max(
+    0,
+    ...frames.map((frame) => countTimestampDecimals(frame.timestampMs))
+  );
+  const screenshotBasename =
+    config.screenshotBasename ?? buildScreenshotBasename(animationFile);
+  await fs.mkdir(
+    path.dirname(path.resolve(config.outputDir, screenshotBasename)),
+    { recursive: true }
+  );
+
+  const savedFrames = [];
+  for (const { buffer, ...frame } of frames) {
+    const timestampLabel = formatTimestampLabel(
+      frame.timestampMs,
+      integerDigits,
+      fractionDigits
+    );
+    const regionPrefix = frame.region ? `-${frame.region}` : "";
+    const nameSuffix = frame.name ? `-${frame.name}` : "";
+    const screenshotPath = path.resolve(
+      config.outputDir,
+      `${screenshotBasename}${regionPrefix}-${timestampLabel}ms${nameSuffix}.png`
+    );
+    await fs.writeFile(screenshotPath, buffer);
+    savedFrames.push({ ...frame, path: screenshotPath });
+  }
+
+  return { ...pageDetails, frames: savedFrames };
+}
+
+// Compares the frames of determinism run `run` with the first run's
+// `savedFrames` pixel for pixel. Differing frames are saved under
+// <outputDir>/determinism as "<frame>-run1.png", "<frame>-run<n>.png" and
+// "<frame>-run<n>-diff.png". A run that captured a different number of frames
+// cannot be lined up with the first, so every frame is reported as differing.
+// Resolves to one record per differing frame.
+async function compareDeterminismRun(savedFrames, frames, run, config) {
+  const determinismDir = path.resolve(config.outputDir, "determinism");
+  const unstableFrames = [];
+
+  if (frames.length !== savedFrames.length) {
+    return savedFrames.map((reference) => ({
+      path: reference.path,
+      timestampMs: reference.timestampMs,
+      ...(reference.region ? { region: reference.region } : {}),
+      ...(reference.name ? { name: reference.name } : {}),
+      run,
+      mismatchedPixels: null,
+      mismatchPercent: null,
+      reason: `run ${run} captured ${frames.length} frame(s) instead of ${savedFrames.length}`,
+      referencePath: null,
+      runPath: null,
+      diffPath: null,
+    }));
+  }
+
+  for (const [index, { buffer, ...frame }] of frames.entries()) {
+    const reference = savedFrames[index];
+    const referenceBuffer = await fs.readFile(reference.path);
+    if (buffer.equals(referenceBuffer)) {
+      continue;
+    }
+
+    // Any changed pixel counts: a reproducible page renders identically.
+    const comparison = comparePngImages(
+      PNG.sync.read(buffer),
+      PNG.sync.read(referenceBuffer),
+      { pixelThreshold: 0, includeAntiAliasing: true }
+    );
+    if (comparison.mismatchedPixels === 0) {
+      continue;
+    }
 
-// Confirms the example directory exists so captures have input files to process.
-async function ensureDirectoryAvailable(directoryPath) {
-  try {
-    await fs.access(directoryPath);
-  } catch (error) {
-    if (error?.code === "ENOENT") {
-      throw new Error(
-        `Expected directory "${directoryPath}" to exist. Add animation examples under assets/example/.`
-      );
+    const basePath = path.resolve(
+      determinismDir,
+      path.relative(config.outputDir, reference.path).replace(/\.png$/, "")
+    );
+    const result = {
+      path: reference.path,
+      timestampMs: frame.timestampMs,
+      ...(frame.region ? { region: frame.region } : {}),
+      ...(frame.name ? { name: frame.name } : {}),
+      run,
+      mismatchedPixels: comparison.mismatchedPixels,
+      mismatchPercent: comparison.mismatchPercent,
+      reason: comparison.dimensionsMatch
+        ? null
+        : "dimensions differ between runs",
+      referencePath: `${basePath}-run1.png`,
+      runPath: `${basePath}-run${run}.png`,
+      diffPath: comparison.diff ? `${basePath}-run${run}-diff.png` : null,
+    };
+
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.writeFile(result.referencePath, referenceBuffer);
+    await fs.writeFile(result.runPath, buffer);
+    if (result.diffPath) {
+      await fs.writeFile(result.diffPath, PNG.sync.write(comparison.diff));
     }
+    unstableFrames.push(result);
+  }
 
-    throw error;
+  return unstableFrames;
+}
+
+// Captures the timeline config.determinismRuns - 1 more times, each in a fresh
+// browser context, and compares every run with the first one through
+// compareDeterminismRun. Resolves to one record per frame and run that differs.
+async function verifyCaptureDeterminism(
+  browser,
+  animationFile,
+  savedFrames,
+  config,
+  logger = console
+) {
+  const unstableFrames = [];
+
+  for (let run = 2; run <= config.determinismRuns; run += 1) {
+    const { frames } = await captureTimelineFrames(
+      browser,
+      { url: resolveAnimationPageUrl(animationFile, config) },
+      resolveCaptureTimeline(config),
+      config,
+      animationFile,
+      logger
+    );
+
+    unstableFrames.push(
+      ...(await compareDeterminismRun(savedFrames, frames, run, config))
+    );
   }
+
+  return unstableFrames;
 }
 
-// Ensures the requested animation HTML file is available under the example directory.
-async function ensureAnimationFileAvailable(directoryPath, animationFile) {
-  const animationPath = path.resolve(directoryPath, animationFile);
+// Settings captureAnimation() accepts besides its source, timeline and browser.
+const CAPTURE_API_SETTING_KEYS = Object.freeze([
+  ...PER_FILE_CONFIG_KEYS.filter(
+    (key) =>
+      ![
+        "maxMismatchPercent",
+        "pixelThreshold",
+        "includeAntiAliasing",
+        "verifyDeterminism",
+        "determinismRuns",
+        "contactSheet",
+        "contactSheetColumns",
+        "contactSheetSpacing",
+        "viewports",
+        "deviceScaleFactors",
+      ].includes(key)
+  ),
+  "patchModules",
+  "serve",
+]);
+
+// Checks an explicit list of capture timestamps. Virtual time only moves
+// forwards, so the list must be non-decreasing.
+function normalizeCaptureTimeline(timeline) {
+  if (!Array.isArray(timeline) || timeline.length === 0) {
+    throw new Error(
+      `Expected timeline to be a non-empty list of timestamps in milliseconds. Received ${JSON.stringify(timeline)}.`
+    );
+  }
 
-  try {
-    const stats = await fs.stat(animationPath);
-    if (!stats.isFile()) {
-      throw new Error(
-        `Expected "${animationFile}" to be a file inside ${directoryPath}.`
-      );
-    }
-  } catch (error) {
-    if (error?.code === "ENOENT") {
+  timeline.forEach((timestamp, index) => {
+    assertNonNegativeNumber(timestamp, `timeline[${index}]`);
+
+    if (index > 0 && timestamp < timeline[index - 1]) {
       throw new Error(
-        `Unable to find "${animationFile}" in ${directoryPath}. Ensure the file exists before running the capture script.`
+        `Expected timeline timestamps in ascending order. ${timestamp} follows ${timeline[index - 1]}.`
       );
     }
+  });
 
-    throw error;
-  }
-
-  return animationPath;
+  return [...timeline];
 }
 
-async function resolveAnimationFiles(directoryPath, animationPattern) {
-  if (!containsWildcards(animationPattern)) {
-    await ensureAnimationFileAvailable(directoryPath, animationPattern);
-    return [animationPattern];
+// Public entry point for Node callers. Captures one page given as `file` (a
+// path), `url` or `html` markup and resolves to `{ frames, frameworkPatches }`
+// with each frame's PNG in `buffer`; nothing is written to disk. `timeline`
+// lists the timestamps to capture or is a timeline spec string (defaulting to
+// the timelineStartMs/targetTimeMs/frameCaptureIntervalMs settings; with
+// targetTimeMs "auto" the detected end is returned as `autoTargetTimeMs`),
+// `viewport` accepts `{ width, height }` or "WxH", `deviceScaleFactor`
+// defaults to 1, `serve` loads `file` from a local HTTP server rooted at its
+// directory, and `browser` reuses a caller-owned Playwright Browser instead of
+// launching one.
+async function captureAnimation(options = {}) {
+  const {
+    file,
+    url,
+    html,
+    timeline,
+    browser: suppliedBrowser,
+    viewport = DEFAULT_CAPTURE_CONFIG.viewport,
+    deviceScaleFactor = 1,
+    ...settings
+  } = options;
+
+  const sources = [file, url, html].filter((value) => value !== undefined);
+  if (sources.length !== 1) {
+    throw new Error(
+      'Expected exactly one of the "file", "url" or "html" options for captureAnimation().'
+    );
   }
 
-  let entries;
-  try {
-    entries = await fs.readdir(directoryPath, { withFileTypes: true });
-  } catch (error) {
-    if (error?.code === "ENOENT") {
+  for (const key of Object.keys(settings)) {
+    if (!CAPTURE_API_SETTING_KEYS.includes(key)) {
       throw new Error(
-        `Expected directory "${directoryPath}" to exist. Add animation examples under assets/example/.`
+        `Unknown captureAnimation() option "${key}". Supported options: file, url, html, timeline, viewport, deviceScaleFactor, browser, ${CAPTURE_API_SETTING_KEYS.filter((entry) => entry !== "viewport" && entry !== "timeline").join(", ")}.`
       );
     }
+  }
 
-    throw error;
+  const patchModules = (settings.patchModules || []).map((modulePath) =>
+    path.resolve(modulePath)
+  );
+  const config = {
+    ...DEFAULT_CAPTURE_CONFIG,
+    ...settings,
+    viewport:
+      typeof viewport === "string" ? parseViewportArg(viewport) : viewport,
+    deviceScaleFactor,
+    routes: normalizeRequestRoutes(settings.routes ?? [], process.cwd()),
+    patchModules,
+    externalPatches: loadFrameworkPatches(patchModules),
+    browserChannel:
+      (process.env.PLAYWRIGHT_BROWSER_CHANNEL || "").trim() || null,
+    browserExecutablePath:
+      (process.env.PLAYWRIGHT_CHROME_EXECUTABLE || "").trim() || null,
+  };
+  if (timeline !== undefined) {
+    config.timeline = timeline;
+  }
+  validateCaptureConfig(config);
+
+  const captureTimeline = resolveCaptureTimeline(config);
+
+  let source;
+  let label;
+  let filePath = null;
+  if (file !== undefined) {
+    assertNonEmptyString(file, "file");
+    filePath = path.resolve(file);
+    await fs.access(filePath).catch((error) => {
+      throw new Error(`Unable to read the animation file "${filePath}".`, {
+        cause: error,
+      });
+    });
+    source = { url: pathToFileURL(filePath).href };
+    label = file;
+  } else if (url !== undefined) {
+    assertNonEmptyString(url, "url");
+    source = { url };
+    label = url;
+  } else {
+    if (typeof html !== "string") {
+      throw new Error("Expected the html option to be a string of markup.");
+    }
+    source = { html };
+    label = "inline HTML";
   }
 
-  const matcher = wildcardToRegExp(animationPattern);
-  const matches = [];
+  if (config.serve && filePath === null) {
+    throw new Error(
+      'Expected the "file" option when serve is enabled. Only files on disk can be served.'
+    );
+  }
 
-  for (const entry of entries) {
-    if (!(entry.isFile?.() || entry.isSymbolicLink?.())) {
-      continue;
-    }
+  // The served root is the file's own directory.
+  const staticServer = config.serve
+    ? await startStaticServer(path.dirname(filePath))
+    : null;
+  let browser = suppliedBrowser;
 
-    const candidate = entry.name;
-    if (!HTML_FILE_PATTERN.test(candidate)) {
-      continue;
+  try {
+    if (staticServer) {
+      config.staticServer = {
+        origin: staticServer.origin,
+        rootDir: staticServer.rootDir,
+      };
+      source = { url: buildPageUrl(filePath, config.staticServer) };
     }
 
-    if (matcher.test(candidate)) {
-      matches.push(candidate);
+    browser ||= await loadChromium().launch(buildBrowserLaunchOptions(config));
+
+    return await captureTimelineFrames(
+      browser,
+      source,
+      captureTimeline,
+      config,
+      label
+    );
+  } finally {
+    if (browser && !suppliedBrowser) {
+      await browser.close();
     }
+    await staticServer?.close();
   }
+}
 
-  matches.sort((a, b) =>
-    a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" })
+// Compares two decoded PNGs pixel by pixel. Images with different dimensions
+// cannot be diffed and are reported as a full mismatch without a diff image.
+function comparePngImages(actual, baseline, options = {}) {
+  const totalPixels = actual.width * actual.height;
+
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    return {
+      dimensionsMatch: false,
+      mismatchedPixels: totalPixels,
+      mismatchPercent: 100,
+      diff: null,
+    };
+  }
+
+  const diff = new PNG({ width: actual.width, height: actual.height });
+  const mismatchedPixels = pixelmatch(
+    baseline.data,
+    actual.data,
+    diff.data,
+    actual.width,
+    actual.height,
+    {
+      threshold: options.pixelThreshold ?? 0.1,
+      includeAA: Boolean(options.includeAntiAliasing),
+    }
   );
 
-  if (matches.length === 0) {
-    throw new Error(
-      `No files matched pattern "${animationPattern}" in ${directoryPath}. Adjust the pattern and retry.`
-    );
-  }
+  return {
+    dimensionsMatch: true,
+    mismatchedPixels,
+    mismatchPercent:
+      totalPixels === 0 ? 0 : (mismatchedPixels / totalPixels) * 100,
+    diff: mismatchedPixels > 0 ? diff : null,
+  };
+}
 
-  return matches;
+async function readPngFile(filePath) {
+  return PNG.sync.read(await fs.readFile(filePath));
 }
 
-// Uses the Chrome DevTools Protocol to advance the virtual clock by a specific budget.
-async function advanceVirtualTime(client, budgetMs) {
-  return new Promise((resolve, reject) => {
-    // Resolves the promise when the DevTools budget event fires.
-    const handleBudgetExpired = () => resolve();
+// Compares each captured frame with the file at the same relative path in
+// config.compareDir and writes diff images for mismatching frames under
+// <outputDir>/diff.
+async function compareScreenshotsWithBaselines(screenshotPaths, config) {
+  const diffDir = path.resolve(config.outputDir, "diff");
+  const results = [];
+
+  for (const screenshotPath of screenshotPaths) {
+    const filename = toManifestPath(screenshotPath, config.outputDir);
+    const baselinePath = path.resolve(config.compareDir, filename);
+    const result = {
+      filename,
+      screenshotPath,
+      baselinePath,
+      diffPath: null,
+      mismatchPercent: null,
+      passed: false,
+      reason: null,
+    };
+    results.push(result);
 
-    client.once("Emulation.virtualTimeBudgetExpired", handleBudgetExpired);
+    let baseline;
+    try {
+      baseline = await readPngFile(baselinePath);
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
 
-    client
-      .send("Emulation.setVirtualTimePolicy", {
-        policy: "pauseIfNetworkFetchesPending",
-        budget: budgetMs,
-      })
-      .catch((error) => {
-        client.off("Emulation.virtualTimeBudgetExpired", handleBudgetExpired);
-        reject(error);
-      });
-  });
-}
+      result.reason = "missing baseline";
+      continue;
+    }
 
-// Produces a monotonically increasing series of timestamps culminating in the target time.
-function buildCaptureTimeline(targetTimeMs, intervalMs) {
-  const sanitizedTarget = Math.max(0, Math.floor(targetTimeMs));
+    const comparison = comparePngImages(
+      await readPngFile(screenshotPath),
+      baseline,
+      config
+    );
+    result.mismatchPercent = comparison.mismatchPercent;
+    result.passed = comparison.mismatchPercent <= config.maxMismatchPercent;
 
-  if (!Number.isFinite(sanitizedTarget)) {
-    return [0];
+    if (!comparison.dimensionsMatch) {
+      result.reason = "dimensions differ from the baseline";
+    }
+
+    if (comparison.diff) {
+      result.diffPath = path.resolve(diffDir, filename);
+      await fs.mkdir(path.dirname(result.diffPath), { recursive: true });
+      await fs.writeFile(result.diffPath, PNG.sync.write(comparison.diff));
+    }
   }
 
-  const timeline = [];
+  return results;
+}
 
-  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
-    timeline.push(sanitizedTarget);
-    return timeline;
+// Replaces the baselines for the given frames with the freshly captured files,
+// keeping each frame's path relative to outputDir.
+async function updateBaselineScreenshots(
+  screenshotPaths,
+  baselineDir,
+  outputDir
+) {
+  const baselinePaths = [];
+  for (const screenshotPath of screenshotPaths) {
+    const baselinePath = path.resolve(
+      baselineDir,
+      path.relative(outputDir, screenshotPath)
+    );
+    await fs.mkdir(path.dirname(baselinePath), { recursive: true });
+    await fs.copyFile(screenshotPath, baselinePath);
+    baselinePaths.push(baselinePath);
   }
 
-  const sanitizedInterval = Math.max(1, Math.floor(intervalMs));
+  return baselinePaths;
+}
 
-  for (
-    let timestamp = 0;
-    timestamp < sanitizedTarget;
-    timestamp += sanitizedInterval
-  ) {
-    timeline.push(timestamp);
+function formatComparisonResult(result, config) {
+  if (result.mismatchPercent === null) {
+    return `  - ${result.filename}: ${result.reason} (${result.baselinePath})`;
   }
 
-  if (
-    timeline.length === 0 ||
-    timeline[timeline.length - 1] !== sanitizedTarget
-  ) {
-    timeline.push(sanitizedTarget);
-  }
+  const percent = `${result.mismatchPercent.toFixed(2)}% mismatch`;
+  const details = [
+    result.passed ? null : `exceeds ${config.maxMismatchPercent}%`,
+    result.reason,
+    result.diffPath ? `diff: ${result.diffPath}` : null,
+  ].filter(Boolean);
 
-  return timeline;
+  return `  - ${result.filename}: ${percent}${details.length > 0 ? ` (${details.join("; ")})` : ""}`;
 }
 
-// Locks requestAnimationFrame and Web Animations state to a specific timestamp before a capture.
-async function synchronizeAnimationState(page, targetTimeMs) {
-  await page.evaluate((targetTimeMs) => {
-    const automationState = window.__captureAutomation;
-    let rafTimestamp = targetTimeMs;
-    let restorePerformanceNow;
+// Turns capture timestamps into per-frame display durations. Each frame lasts
+// until the next timestamp, so irregular steps keep their real length; the
+// final frame is held for `finalHoldMs`. Durations are rounded cumulatively to
+// `resolutionMs` so rounding never drifts away from the captured timeline.
+function buildFrameDelays(timestamps, finalHoldMs, resolutionMs = 1) {
+  const hold =
+    Number.isFinite(finalHoldMs) && finalHoldMs > 0 ? finalHoldMs : 0;
+  const boundaries = timestamps.map((timestamp) => timestamp - timestamps[0]);
+
+  if (boundaries.length > 0) {
+    boundaries.push(boundaries[boundaries.length - 1] + hold);
+  }
 
-    if (automationState?.setPerformanceNowOverride) {
-      try {
-        const overrideValue =
-          automationState.setPerformanceNowOverride(targetTimeMs);
-        if (Number.isFinite(overrideValue)) {
-          rafTimestamp = overrideValue;
-        }
-        restorePerformanceNow = () => {
-          try {
-            automationState.setPerformanceNowOverride();
-          } catch (error) {
-            console.warn("Failed to restore performance.now()", error);
-          }
-        };
-      } catch (error) {
-        console.warn("Failed to override performance.now()", error);
-      }
-    }
+  const snap = (value) => Math.round(value / resolutionMs) * resolutionMs;
 
-    const animations = document.getAnimations();
-    for (const animation of animations) {
-      try {
-        animation.currentTime = targetTimeMs;
-        animation.pause();
-      } catch (error) {
-        console.warn("Failed to fast-forward animation", error);
-      }
-    }
+  return boundaries
+    .slice(1)
+    .map((boundary, index) => snap(boundary) - snap(boundaries[index]));
+}
 
-    let executedCallbacks = 0;
-    let pendingRafCount = 0;
-    let pendingCountKnown = false;
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+let crc32Table;
 
-    if (automationState?.flushRafCallbacks) {
-      try {
-        const count = automationState.flushRafCallbacks(rafTimestamp);
-        if (Number.isFinite(count)) {
-          executedCallbacks += count;
-        }
-      } catch (error) {
-        console.warn("Failed to flush requestAnimationFrame callbacks", error);
+function crc32(buffer) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
       }
+      crc32Table[n] = c >>> 0;
     }
+  }
 
-    if (automationState?.runRafCallbacksImmediately) {
-      try {
-        const count = automationState.runRafCallbacksImmediately(rafTimestamp);
-        if (Number.isFinite(count)) {
-          executedCallbacks += count;
-        }
-      } catch (error) {
-        console.warn(
-          "Failed to invoke requestAnimationFrame callbacks directly",
-          error
-        );
-      }
-    }
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
 
-    if (typeof automationState?.countPendingRafCallbacks === "function") {
-      try {
-        const pending = automationState.countPendingRafCallbacks();
-        if (Number.isFinite(pending)) {
-          pendingRafCount = pending;
-          pendingCountKnown = true;
-        }
-      } catch (error) {
-        console.warn(
-          "Failed to inspect requestAnimationFrame callback state",
-          error
-        );
-      }
-    }
+function createPngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
 
-    const shouldReplayCallbacks =
-      (pendingCountKnown && pendingRafCount === 0) ||
-      (!pendingCountKnown && executedCallbacks === 0);
+// Returns the concatenated IDAT payload (the compressed image stream) of a PNG file.
+function extractPngImageData(pngBuffer) {
+  const parts = [];
+  let offset = PNG_SIGNATURE.length;
 
-    if (shouldReplayCallbacks) {
-      let replayedCount = 0;
+  while (offset < pngBuffer.length) {
+    const length = pngBuffer.readUInt32BE(offset);
+    const type = pngBuffer.toString("ascii", offset + 4, offset + 8);
+    if (type === "IDAT") {
+      parts.push(pngBuffer.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += length + 12;
+  }
 
-      if (automationState?.runMostRecentRafCallbacks) {
-        try {
-          const count = automationState.runMostRecentRafCallbacks(
-            rafTimestamp
-          );
-          if (Number.isFinite(count)) {
-            replayedCount += count;
-          }
-        } catch (error) {
-          console.warn(
-            "Failed to replay most recent requestAnimationFrame callbacks",
-            error
-          );
-        }
-      }
+  return Buffer.concat(parts);
+}
 
-      if (replayedCount === 0 && automationState?.runLoopedRafCallbacks) {
-        try {
-          automationState.runLoopedRafCallbacks(rafTimestamp);
-        } catch (error) {
-          console.warn(
-            "Failed to replay cached requestAnimationFrame callbacks",
-            error
-          );
-        }
-      }
+// Encodes decoded RGBA frames into a looping APNG. pngjs handles filtering and
+// compression of each frame; this function only adds the animation chunks.
+function encodeApng(frames, delaysMs) {
+  const { width, height } = frames[0];
+  const chunks = [];
+  let sequence = 0;
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8);
+  header.writeUInt8(6, 9);
+  chunks.push(createPngChunk("IHDR", header));
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(frames.length, 0);
+  animationControl.writeUInt32BE(0, 4);
+  chunks.push(createPngChunk("acTL", animationControl));
+
+  frames.forEach((frame, index) => {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error(
+        `Expected every frame to measure ${width}x${height}. Frame ${index} is ${frame.width}x${frame.height}.`
+      );
     }
 
-    const trackedInstances = (
-      automationState?.getTrackedAnimeInstances?.() || []
-    ).concat(Array.isArray(window.anime?.running) ? window.anime.running : []);
+    const delayMs = Math.max(0, Math.round(delaysMs[index] || 0));
+    const [delayNumerator, delayDenominator] =
+      delayMs <= 0xffff ? [delayMs, 1000] : [Math.round(delayMs / 10), 100];
 
-    const seen = new Set();
+    const frameControl = Buffer.alloc(26);
+    frameControl.writeUInt32BE(sequence++, 0);
+    frameControl.writeUInt32BE(width, 4);
+    frameControl.writeUInt32BE(height, 8);
+    frameControl.writeUInt16BE(Math.min(delayNumerator, 0xffff), 20);
+    frameControl.writeUInt16BE(delayDenominator, 22);
+    chunks.push(createPngChunk("fcTL", frameControl));
 
-    for (const instance of trackedInstances) {
-      if (
-        !instance ||
-        typeof instance.seek !== "function" ||
-        seen.has(instance)
-      ) {
-        continue;
-      }
+    const imageData = extractPngImageData(
+      PNG.sync.write(frame, { colorType: 6 })
+    );
+
+    if (index === 0) {
+      chunks.push(createPngChunk("IDAT", imageData));
+    } else {
+      const sequenceNumber = Buffer.alloc(4);
+      sequenceNumber.writeUInt32BE(sequence++);
+      chunks.push(
+        createPngChunk("fdAT", Buffer.concat([sequenceNumber, imageData]))
+      );
+    }
+  });
 
-      seen.add(instance);
+  chunks.push(createPngChunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat([PNG_SIGNATURE, ...chunks]);
+}
 
-      try {
-        instance.seek(targetTimeMs);
-      } catch (error) {
-        console.warn("Failed to seek anime.js instance to target time", error);
+// Browsers replace GIF frame delays below 2 cs with roughly 100 ms, so shorter
+// steps are stretched to this minimum instead.
+const MIN_GIF_FRAME_DELAY_MS = 20;
+
+// Encodes decoded RGBA frames into a looping GIF with a per-frame palette.
+// GIF delays are stored in centiseconds, so callers should pass delays
+// already rounded to 10 ms steps; delays below MIN_GIF_FRAME_DELAY_MS are
+// raised to it.
+function encodeGif(frames, delaysMs) {
+  const gif = GIFEncoder();
+
+  frames.forEach((frame, index) => {
+    const palette = quantize(frame.data, 256);
+    gif.writeFrame(
+      applyPalette(frame.data, palette),
+      frame.width,
+      frame.height,
+      {
+        palette,
+        delay: Math.max(MIN_GIF_FRAME_DELAY_MS, delaysMs[index]),
+        repeat: 0,
       }
-    }
+    );
+  });
 
-    if (typeof restorePerformanceNow === "function") {
-      restorePerformanceNow();
-    }
-  }, targetTimeMs);
+  gif.finish();
+  return Buffer.from(gif.bytes());
 }
 
-// Restores performance.now() to its native implementation so upcoming virtual time
-// advances reflect the browser-provided timestamp rather than a fixed override.
-async function restorePerformanceNow(page) {
-  await page.evaluate(() => {
-    const overrideSetter =
-      window.__captureAutomation?.setPerformanceNowOverride;
+// Writes the requested animated previews of one animation's captured frames.
+async function exportTimelineAnimations(frames, screenshotBasename, config) {
+  if (frames.length === 0 || config.timelineExports.length === 0) {
+    return [];
+  }
 
-    if (typeof overrideSetter !== "function") {
-      return;
-    }
+  const decodedFrames = [];
+  for (const frame of frames) {
+    decodedFrames.push(await readPngFile(frame.path));
+  }
 
-    try {
-      overrideSetter();
-    } catch (error) {
-      console.warn("Failed to restore performance.now()", error);
-    }
-  });
+  const timestamps = frames.map((frame) => frame.timestampMs);
+  // The last frame is held for one timeline step, as if the capture went on.
+  const finalHoldMs = resolveTimelineStepMs(config);
+  const exportPaths = [];
+
+  for (const format of config.timelineExports) {
+    const exportPath = path.resolve(
+      config.outputDir,
+      `${screenshotBasename}-timeline.${format}`
+    );
+    const contents =
+      format === "gif"
+        ? encodeGif(
+            decodedFrames,
+            buildFrameDelays(timestamps, finalHoldMs, 10)
+          )
+        : encodeApng(decodedFrames, buildFrameDelays(timestamps, finalHoldMs));
+
+    await fs.writeFile(exportPath, contents);
+    exportPaths.push(exportPath);
+  }
+
+  return exportPaths;
 }
 
-// Adds a Playwright init script that counts requestAnimationFrame ticks for bootstrap tracking.
-async function injectRafProbe(context) {
-  // Sets up instrumentation before any page script runs inside the context.
-  await context.addInitScript(() => {
-    const automationState = (window.__captureAutomation ||= {});
-    automationState.rafTickCount = 0;
+// Reads the pixel size from a PNG's IHDR chunk without decoding the image.
+function readPngDimensions(pngBuffer) {
+  if (
+    pngBuffer.length < 24 ||
+    !pngBuffer.subarray(0, 8).equals(PNG_SIGNATURE) ||
+    pngBuffer.toString("ascii", 12, 16) !== "IHDR"
+  ) {
+    throw new Error("Expected a PNG image with an IHDR header.");
+  }
 
-    const originalRequestAnimationFrame =
-      window.requestAnimationFrame.bind(window);
-    const originalCancelAnimationFrame =
-      window.cancelAnimationFrame.bind(window);
-    const originalPerformanceNow = performance.now.bind(performance);
-    automationState.originalPerformanceNow = originalPerformanceNow;
+  return {
+    width: pngBuffer.readUInt32BE(16),
+    height: pngBuffer.readUInt32BE(20),
+  };
+}
 
-    const performanceNowState = {
-      active: false,
-      baseline: null,
-      overrideValue: null,
-    };
+const CONTACT_SHEET_LABEL_HEIGHT = 20;
+
+// Computes the grid used to tile `frameCount` frames of `tileWidth` x
+// `tileHeight` pixels, including the label strip under every tile.
+function buildContactSheetLayout(frameCount, tileWidth, tileHeight, options) {
+  const columns = Math.max(1, Math.min(options.columns, frameCount));
+  const rows = Math.max(1, Math.ceil(frameCount / columns));
+  const spacing = Math.max(0, Math.round(options.spacing));
+  const cellHeight = tileHeight + CONTACT_SHEET_LABEL_HEIGHT;
+
+  return {
+    columns,
+    rows,
+    spacing,
+    tileWidth,
+    tileHeight,
+    width: columns * tileWidth + (columns + 1) * spacing,
+    height: rows * cellHeight + (rows + 1) * spacing,
+  };
+}
 
-    const ensurePerformanceBaseline = () => {
-      if (performanceNowState.baseline !== null) {
-        return performanceNowState.baseline;
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (character) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[character]
+  );
+}
+
+// Builds the standalone page that Chromium renders into the contact sheet.
+function buildContactSheetHtml(tiles, layout) {
+  const figures = tiles
+    .map(
+      ({ src, label }) =>
+        `<figure><img src="${src}" alt="" /><figcaption>${escapeHtml(label)}</figcaption></figure>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <style>
+      html, body { margin: 0; background: #f8fafc; }
+      main {
+        display: grid;
+        grid-template-columns: repeat(${layout.columns}, ${layout.tileWidth}px);
+        gap: ${layout.spacing}px;
+        padding: ${layout.spacing}px;
       }
+      figure { margin: 0; }
+      img {
+        display: block;
+        width: ${layout.tileWidth}px;
+        height: ${layout.tileHeight}px;
+        object-fit: contain;
+        background: #e2e8f0;
+      }
+      figcaption {
+        height: ${CONTACT_SHEET_LABEL_HEIGHT}px;
+        font: 12px/${CONTACT_SHEET_LABEL_HEIGHT}px monospace;
+        color: #1e293b;
+        text-align: center;
+      }
+    </style>
+  </head>
+  <body>
+    <main>${figures}</main>
+  </body>
+</html>`;
+}
 
-      const value = originalPerformanceNow();
-      performanceNowState.baseline = value;
-      automationState.firstPerformanceNow = value;
-      return value;
-    };
+// Tiles an animation's frames into one labelled PNG by rendering a throwaway
+// page in the already running browser.
+async function renderContactSheet(browser, frames, sheetPath, config) {
+  const images = [];
+  for (const frame of frames) {
+    images.push(await fs.readFile(frame.path));
+  }
 
-    Object.defineProperty(performance, "now", {
-      configurable: true,
-      value: () => {
-        if (!performanceNowState.active) {
-          const value = originalPerformanceNow();
-          if (performanceNowState.baseline === null) {
-            performanceNowState.baseline = value;
-            automationState.firstPerformanceNow = value;
-          }
-          return value;
-        }
+  const { width, height } = readPngDimensions(images[0]);
+  const layout = buildContactSheetLayout(frames.length, width, height, {
+    columns: config.contactSheetColumns,
+    spacing: config.contactSheetSpacing,
+  });
+  const tiles = frames.map((frame, index) => ({
+    src: `data:image/png;base64,${images[index].toString("base64")}`,
+    label: frame.name
+      ? `${frame.timestampMs} ms · ${frame.name}`
+      : `${frame.timestampMs} ms`,
+  }));
+
+  const context = await browser.newContext({
+    viewport: { width: layout.width, height: layout.height },
+    deviceScaleFactor: 1,
+  });
 
-        return performanceNowState.overrideValue;
-      },
+  try {
+    const page = await context.newPage();
+    await page.setContent(buildContactSheetHtml(tiles, layout), {
+      waitUntil: "load",
     });
+    await page.screenshot({ path: sheetPath });
+  } finally {
+    await context.close();
+  }
 
-    const pendingCallbacks = new Map();
-    const registeredCallbacks = new Map();
-    const callbackStats = new Map();
-    const loopCallbacks = new Set();
-    const lastExecutedCallbacks = new Set();
-    automationState.disableRafScheduling = false;
+  return sheetPath;
+}
 
-    // Remembers callbacks that have run at least once so stopped RAF loops can
-    // be revived when virtual time seeks backwards.
-    const recordExecutedCallback = (callback) => {
-      if (typeof callback !== "function") {
-        return;
-      }
+// Prints actionable troubleshooting hints when Chromium fails to start.
+function logChromiumLaunchFailure(error, config) {
+  const message = error?.message || "";
 
-      lastExecutedCallbacks.add(callback);
-    };
+  if (message.includes("Executable doesn't exist")) {
+    console.error(
+      'Playwright Chromium binary not found. Run "npx playwright install chromium" and retry.'
+    );
+  } else if (config.browserExecutablePath) {
+    console.error(
+      `Unable to launch the browser at PLAYWRIGHT_CHROME_EXECUTABLE (currently '${config.browserExecutablePath}'). Verify the path and retry.`
+    );
+  } else if (config.browserChannel) {
+    console.error(
+      `Failed to launch the Playwright channel "${config.browserChannel}". Ensure the corresponding browser (for example Google Chrome for "chrome") is installed and Playwright supports it on this platform.`
+    );
+  } else if (message.includes("Host system is missing dependencies")) {
+    console.error(
+      'Chromium is missing required system libraries. Install them with "npx playwright install-deps" (or consult Playwright\'s documentation for your platform) and retry.'
+    );
+  } else {
+    console.error("Failed to launch Chromium:", error);
+  }
+}
 
-    window.requestAnimationFrame = (callback) => {
-      if (automationState.disableRafScheduling) {
-        return 0;
-      }
+// Converts an output path into the forward-slash relative form stored in manifests.
+function toManifestPath(filePath, outputDir) {
+  return path.relative(outputDir, filePath).split(path.sep).join("/");
+}
 
-      let stats = callbackStats.get(callback);
-      if (!stats) {
-        stats = { scheduledCount: 0 };
-        callbackStats.set(callback, stats);
-      }
+// Keeps only the serializable settings of a configuration for the manifest.
+function serializeCaptureConfig(config, keys) {
+  return Object.fromEntries(
+    keys
+      .filter((key) => config[key] !== undefined)
+      .map((key) => [key, config[key]])
+  );
+}
 
-      stats.scheduledCount += 1;
+// Starts the machine-readable record of a run; processAnimationFile entries are appended to `files`.
+function createRunManifest(config, browser, animationFiles) {
+  const { cliOverrides, externalPatches, staticServer, ...effectiveConfig } =
+    config;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    browser: {
+      name: "chromium",
+      version: browser.version(),
+      channel: config.browserChannel,
+      executablePath: config.browserExecutablePath,
+    },
+    availableFrameworkPatches: FRAMEWORK_PATCHES.concat(
+      externalPatches || []
+    ).map((patch) => patch.name),
+    config: effectiveConfig,
+    animationFiles,
+    files: [],
+  };
+}
 
-      if (stats.scheduledCount >= 2) {
-        loopCallbacks.add(callback);
-      }
+async function writeRunManifest(manifest, outputDir) {
+  const manifestPath = path.resolve(outputDir, "manifest.json");
+  await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifestPath;
+}
 
-      let handle;
-      const wrapped = (timestamp) => {
-        automationState.rafTickCount += 1;
-        pendingCallbacks.delete(handle);
-        registeredCallbacks.delete(handle);
+function renderReportLinks(title, paths) {
+  if (paths.length === 0) {
+    return "";
+  }
 
-        try {
-          return callback(timestamp);
-        } finally {
-          recordExecutedCallback(callback);
-        }
-      };
-      handle = originalRequestAnimationFrame((timestamp) => wrapped(timestamp));
-      pendingCallbacks.set(handle, { callback, wrapped });
-      registeredCallbacks.set(handle, callback);
-      return handle;
-    };
+  const items = paths
+    .map(
+      (filePath) =>
+        `<li><a href="${escapeHtml(filePath)}">${escapeHtml(filePath)}</a></li>`
+    )
+    .join("");
+  return `<h3>${escapeHtml(title)}</h3><ul>${items}</ul>`;
+}
 
-    window.cancelAnimationFrame = (handle) => {
-      pendingCallbacks.delete(handle);
-      registeredCallbacks.delete(handle);
-      return originalCancelAnimationFrame(handle);
-    };
+// Lists values as plain text, e.g. remote URLs the offline report must not link to.
+function renderReportList(title, values) {
+  if (values.length === 0) {
+    return "";
+  }
 
-    automationState.setPerformanceNowOverride = (fixedTimestamp) => {
-      if (typeof fixedTimestamp === "number") {
-        const baseline = ensurePerformanceBaseline();
-        performanceNowState.overrideValue = baseline + fixedTimestamp;
-        performanceNowState.active = true;
-        return performanceNowState.overrideValue;
-      }
+  const items = values
+    .map((value) => `<li><code>${escapeHtml(value)}</code></li>`)
+    .join("");
+  return `<h3>${escapeHtml(title)}</h3><ul class="plain">${items}</ul>`;
+}
 
-      performanceNowState.overrideValue = null;
-      performanceNowState.active = false;
-      return null;
-    };
+function renderReportComparisons(comparisons) {
+  if (comparisons.length === 0) {
+    return "";
+  }
 
-    automationState.flushRafCallbacks = (targetTimestamp) => {
-      if (pendingCallbacks.size === 0) {
-        return 0;
-      }
+  const rows = comparisons
+    .map((result) => {
+      const mismatch =
+        result.mismatchPercent === null
+          ? escapeHtml(result.reason)
+          : `${result.mismatchPercent.toFixed(2)}%`;
+      const diff = result.diffPath
+        ? `<a href="${escapeHtml(result.diffPath)}">diff</a>`
+        : "";
+      const filename = result.variant
+        ? `${result.variant}/${result.filename}`
+        : result.filename;
+      return `<tr class="${result.passed ? "passed" : "failed"}"><td>${escapeHtml(filename)}</td><td>${mismatch}</td><td>${diff}</td></tr>`;
+    })
+    .join("");
+  return `<h3>Baseline comparison</h3><table><thead><tr><th>Frame</th><th>Mismatch</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
 
-      const callbacks = Array.from(pendingCallbacks.entries());
-      pendingCallbacks.clear();
-      let executed = 0;
+// Lists the frames that changed between determinism runs with links to the
+// saved pair and their diff.
+function renderReportDeterminism(results) {
+  if (results.length === 0) {
+    return "";
+  }
 
-      const previousDisable = automationState.disableRafScheduling;
-      automationState.disableRafScheduling = true;
+  const link = (href, text) =>
+    href ? `<a href="${escapeHtml(href)}">${text}</a>` : "";
+  const rows = results
+    .map((result) => {
+      const mismatch = result.reason
+        ? escapeHtml(result.reason)
+        : formatPixelMismatch(result);
+      return `<tr class="failed"><td>${escapeHtml(result.path)}</td><td>${result.run}</td><td>${mismatch}</td><td>${link(result.referencePath, "run 1")} ${link(result.runPath, `run ${result.run}`)} ${link(result.diffPath, "diff")}</td></tr>`;
+    })
+    .join("");
+  return `<h3>Unstable frames</h3><table><thead><tr><th>Frame</th><th>Run</th><th>Mismatch</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
 
-      try {
-        for (const [handle, { wrapped }] of callbacks) {
-          try {
-            wrapped(targetTimestamp);
-            executed += 1;
-          } catch (error) {
-            console.warn(
-              "Failed to flush requestAnimationFrame callback",
-              error
-            );
-          }
+// Renders a slider that scrubs through one series of frames.
+function renderReportViewer(file, frames, caption) {
+  const lastIndex = frames.length - 1;
+  const heading = caption ? `<h3>${escapeHtml(caption)}</h3>` : "";
 
-          registeredCallbacks.delete(handle);
-        }
-      } finally {
-        automationState.disableRafScheduling = previousDisable;
-      }
+  return `${heading}<div class="viewer" data-frames="${escapeHtml(JSON.stringify(frames))}">
+        <a class="frame-link" href="${escapeHtml(frames[lastIndex].path)}"><img src="${escapeHtml(frames[lastIndex].path)}" alt="${escapeHtml(file)} frame" /></a>
+        <label><input type="range" min="0" max="${lastIndex}" value="${lastIndex}" step="1" /> <output>${frames[lastIndex].timestampMs} ms</output></label>
+      </div>`;
+}
 
-      return executed;
-    };
+// Renders one animation's report section: status, failure message and a
+// slider that scrubs through its frames (one slider per matrix variant and
+// selector region).
+function renderReportSection(entry) {
+  const frames = entry.frames.map(({ timestampMs, path: framePath }) => ({
+    timestampMs,
+    path: framePath,
+  }));
+  const series = new Map();
+  for (const [index, frame] of entry.frames.entries()) {
+    const key = [frame.variant, frame.selector].filter(Boolean).join(" · ");
+    series.set(key, [...(series.get(key) || []), frames[index]]);
+  }
+  const error = entry.error
+    ? `<pre class="error">${escapeHtml(entry.error)}</pre>`
+    : "";
+  const viewer =
+    frames.length === 0
+      ? "<p>No frames were captured.</p>"
+      : Array.from(series, ([caption, seriesFrames]) =>
+          renderReportViewer(entry.file, seriesFrames, caption)
+        ).join("\n");
+
+  return `<section class="${entry.status}">
+      <h2>${escapeHtml(entry.file)} <span class="status">${escapeHtml(entry.status)}</span></h2>
+      ${error}
+      ${viewer}
+      ${renderReportLinks(
+        "Frames",
+        frames.map((frame) => frame.path)
+      )}
+      ${renderReportLinks("Previews", [
+        ...entry.exports,
+        ...entry.contactSheets,
+      ])}
+      ${renderReportList("Unmatched external requests", entry.unmatchedRequests)}
+      ${renderReportComparisons(entry.comparisons)}
+      ${renderReportDeterminism(entry.determinism)}
+    </section>`;
+}
 
-    automationState.runRafCallbacksImmediately = (targetTimestamp) => {
-      if (registeredCallbacks.size === 0) {
-        return 0;
+// Builds the self-contained index.html gallery for a run manifest. Frames are
+// linked relatively, and the styles and scrubber script are inlined so the
+// report works offline straight from the output directory.
+function buildRunReportHtml(manifest) {
+  const failedCount = manifest.files.filter(
+    (entry) => entry.status !== "passed"
+  ).length;
+  const summary = `${manifest.files.length} animation(s), ${failedCount} failed. Generated ${manifest.generatedAt} with Chromium ${manifest.browser.version}.`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>Animation capture report</title>
+    <style>
+      body { margin: 0 auto; max-width: 960px; padding: 24px; font-family: system-ui, sans-serif; color: #0f172a; background: #f8fafc; }
+      section { margin: 24px 0; padding: 16px; border-radius: 8px; background: #fff; border-left: 6px solid #16a34a; }
+      section.failed { border-left-color: #dc2626; }
+      .status { font-size: 0.7em; text-transform: uppercase; color: #16a34a; }
+      .failed .status { color: #dc2626; }
+      .error { white-space: pre-wrap; color: #991b1b; background: #fef2f2; padding: 8px; }
+      .viewer img { display: block; max-width: 100%; border: 1px solid #cbd5e1; }
+      .viewer input { width: 320px; max-width: 100%; }
+      h3 { font-size: 1em; }
+      ul { columns: 3; font-size: 0.85em; }
+      ul.plain { columns: 1; }
+      table { border-collapse: collapse; font-size: 0.85em; }
+      td, th { padding: 2px 8px; text-align: left; }
+      tr.failed td { color: #dc2626; }
+    </style>
+  </head>
+  <body>
+    <h1>Animation capture report</h1>
+    <p>${escapeHtml(summary)}</p>
+    ${manifest.files.map(renderReportSection).join("\n")}
+    <script>
+      for (const viewer of document.querySelectorAll(".viewer")) {
+        const frames = JSON.parse(viewer.dataset.frames);
+        const slider = viewer.querySelector("input");
+        const image = viewer.querySelector("img");
+        const link = viewer.querySelector(".frame-link");
+        const output = viewer.querySelector("output");
+        slider.addEventListener("input", () => {
+          const frame = frames[Number(slider.value)];
+          image.src = frame.path;
+          link.href = frame.path;
+          output.textContent = frame.timestampMs + " ms";
+        });
       }
+    </script>
+  </body>
+</html>
+`;
+}
 
-      const callbacks = Array.from(registeredCallbacks.entries());
-      let executed = 0;
+async function writeRunReport(manifest, outputDir) {
+  const reportPath = path.resolve(outputDir, "index.html");
+  await fs.writeFile(reportPath, buildRunReportHtml(manifest));
+  return reportPath;
+}
 
-      const previousDisable = automationState.disableRafScheduling;
-      automationState.disableRafScheduling = true;
+// "12 pixel(s) (0.02%)": small determinism drifts round to 0.00% on their own.
+function formatPixelMismatch(result) {
+  return `${result.mismatchedPixels} pixel(s) (${result.mismatchPercent.toFixed(2)}%)`;
+}
 
-      try {
-        for (const [handle, callback] of callbacks) {
-          try {
-            registeredCallbacks.delete(handle);
-            pendingCallbacks.delete(handle);
-            callback.call(window, targetTimestamp);
-            recordExecutedCallback(callback);
-            executed += 1;
-          } catch (error) {
-            console.warn(
-              "Failed to invoke requestAnimationFrame callback directly",
-              error
-            );
+// Counts distinct frames among determinism results; a frame that differs in
+// several runs is listed once per run.
+function countUnstableFrames(results) {
+  return new Set(
+    results.map((result) => [result.variant, result.path].join("\0"))
+  ).size;
+}
+
+// Captures one animation plus its optional exports, sheets and comparisons.
+// Errors are logged to `logger` and recorded rather than thrown so the batch
+// continues.
+async function processAnimationFile(
+  browser,
+  animationFile,
+  fileConfig,
+  logger = console
+) {
+  const entry = {
+    file: animationFile,
+    status: "passed",
+    error: null,
+    config: serializeCaptureConfig(fileConfig, PER_FILE_CONFIG_KEYS),
+    frameworkPatches: [],
+    dependencies: [],
+    unmatchedRequests: [],
+    autoTargetTimeMs: null,
+    frames: [],
+    exports: [],
+    contactSheets: [],
+    comparisons: [],
+    determinism: [],
+  };
+  const toRelative = (filePath) =>
+    toManifestPath(filePath, fileConfig.outputDir);
+  const animationPath = path.resolve(fileConfig.exampleDir, animationFile);
+
+  try {
+    const comparisons = [];
+    const determinism = [];
+    const dependencies = new Set();
+    const unmatchedRequests = new Set();
+
+    for (const variant of buildCaptureVariants(fileConfig)) {
+      // Matrix variants write into (and compare against) their own folder.
+      const variantConfig = variant.name
+        ? {
+            ...fileConfig,
+            viewport: variant.viewport,
+            deviceScaleFactor: variant.deviceScaleFactor,
+            outputDir: path.resolve(fileConfig.outputDir, variant.name),
+            compareDir:
+              fileConfig.compareDir &&
+              path.resolve(fileConfig.compareDir, variant.name),
           }
+        : { ...fileConfig, deviceScaleFactor: variant.deviceScaleFactor };
+      const label = variant.name
+        ? `${animationFile} (${variant.name})`
+        : animationFile;
+
+      await fs.mkdir(variantConfig.outputDir, { recursive: true });
+      const { frames, frameworkPatches, ...loaded } =
+        await captureAnimationFile(
+          browser,
+          animationFile,
+          variantConfig,
+          logger
+        );
+      const screenshotPaths = frames.map((frame) => frame.path);
+      entry.frameworkPatches = frameworkPatches;
+      for (const dependency of loaded.dependencies) {
+        if (dependency !== animationPath) {
+          dependencies.add(toManifestPath(dependency, fileConfig.exampleDir));
         }
-      } finally {
-        automationState.disableRafScheduling = previousDisable;
       }
+      entry.dependencies = Array.from(dependencies).sort();
+      loaded.unmatchedRequests.forEach((url) => unmatchedRequests.add(url));
+      entry.unmatchedRequests = Array.from(unmatchedRequests);
+      if (loaded.autoTargetTimeMs !== null) {
+        logger.log(
+          `Resolved --target auto for ${label} to ${loaded.autoTargetTimeMs}ms.`
+        );
+        entry.autoTargetTimeMs = Math.max(
+          entry.autoTargetTimeMs ?? 0,
+          loaded.autoTargetTimeMs
+        );
+      }
+      entry.frames.push(
+        ...frames.map((frame) => ({
+          ...(variant.name ? { variant: variant.name } : {}),
+          ...frame,
+          path: toRelative(frame.path),
+        }))
+      );
 
-      return executed;
-    };
-
-    automationState.runLoopedRafCallbacks = (targetTimestamp) => {
-      if (loopCallbacks.size === 0) {
-        return 0;
+      if (screenshotPaths.length === 0) {
+        logger.warn(`No screenshots were generated for ${label}.`);
+      } else if (screenshotPaths.length === 1) {
+        logger.log(`Captured ${label} -> ${screenshotPaths[0]}`);
+      } else {
+        const formatted = screenshotPaths
+          .map((file) => `  - ${file}`)
+          .join("\n");
+        logger.log(`Captured ${label} ->\n${formatted}`);
       }
 
-      let executed = 0;
+      // Selector captures produce one series per region; previews and contact
+      // sheets are assembled per series.
+      const series = new Map();
+      for (const frame of frames) {
+        const regionFrames = series.get(frame.region) || [];
+        regionFrames.push(frame);
+        series.set(frame.region, regionFrames);
+      }
 
-      const previousDisable = automationState.disableRafScheduling;
-      automationState.disableRafScheduling = true;
+      for (const [region, regionFrames] of series) {
+        const basename =
+          fileConfig.screenshotBasename ??
+          buildScreenshotBasename(animationFile);
+        const seriesBasename = region ? `${basename}-${region}` : basename;
 
-      try {
-        for (const callback of loopCallbacks) {
-          try {
-            callback.call(window, targetTimestamp);
-            recordExecutedCallback(callback);
-            executed += 1;
-          } catch (error) {
-            console.warn(
-              "Failed to replay looping requestAnimationFrame callback",
-              error
-            );
-          }
+        const exportPaths = await exportTimelineAnimations(
+          regionFrames,
+          seriesBasename,
+          variantConfig
+        );
+        for (const exportPath of exportPaths) {
+          logger.log(`Encoded ${label} timeline -> ${exportPath}`);
+        }
+        entry.exports.push(...exportPaths.map(toRelative));
+
+        if (variantConfig.contactSheet) {
+          const sheetPath = await renderContactSheet(
+            browser,
+            regionFrames,
+            path.resolve(
+              variantConfig.outputDir,
+              `${seriesBasename}-sheet.png`
+            ),
+            variantConfig
+          );
+          logger.log(`Tiled ${label} frames -> ${sheetPath}`);
+          entry.contactSheets.push(toRelative(sheetPath));
         }
-      } finally {
-        automationState.disableRafScheduling = previousDisable;
       }
 
-      return executed;
-    };
-
-    automationState.countPendingRafCallbacks = () =>
-      pendingCallbacks.size + registeredCallbacks.size;
+      let unstableFrames = [];
+      if (variantConfig.verifyDeterminism) {
+        // Later runs reuse the first run's end so their frames line up.
+        unstableFrames = await verifyCaptureDeterminism(
+          browser,
+          animationFile,
+          frames,
+          loaded.autoTargetTimeMs === null
+            ? variantConfig
+            : { ...variantConfig, targetTimeMs: loaded.autoTargetTimeMs },
+          logger
+        );
+        determinism.push(
+          ...unstableFrames.map((result) => ({
+            ...(variant.name ? { variant: variant.name } : {}),
+            ...result,
+            path: toRelative(result.path),
+            referencePath:
+              result.referencePath && toRelative(result.referencePath),
+            runPath: result.runPath && toRelative(result.runPath),
+            diffPath: result.diffPath && toRelative(result.diffPath),
+          }))
+        );
 
-    // Replays the most recently executed RAF callbacks even if they are not
-    // classified as loops so timestamp displays can roll back.
-    automationState.runMostRecentRafCallbacks = (targetTimestamp) => {
-      if (lastExecutedCallbacks.size === 0) {
-        return 0;
+        if (unstableFrames.length > 0) {
+          const formatted = unstableFrames
+            .map(
+              (result) =>
+                `  - ${toRelative(result.path)} (run ${result.run}): ${result.reason || formatPixelMismatch(result)}`
+            )
+            .join("\n");
+          logger.error(
+            `Determinism: ${countUnstableFrames(unstableFrames)} of ${frames.length} frame(s) of ${label} differ between runs ->\n${formatted}`
+          );
+        } else {
+          logger.log(
+            `Determinism: ${label} rendered identically in ${variantConfig.determinismRuns} runs.`
+          );
+        }
       }
 
-      let executed = 0;
-
-      const previousDisable = automationState.disableRafScheduling;
-      automationState.disableRafScheduling = true;
+      if (variantConfig.updateBaselines && unstableFrames.length > 0) {
+        logger.warn(
+          `Skipped updating the baselines for ${label} because its frames differ between runs.`
+        );
+      } else if (variantConfig.updateBaselines) {
+        const baselinePaths = await updateBaselineScreenshots(
+          screenshotPaths,
+          variantConfig.compareDir,
+          variantConfig.outputDir
+        );
+        logger.log(
+          `Updated ${baselinePaths.length} baseline(s) for ${label} in ${variantConfig.compareDir}.`
+        );
+      } else if (variantConfig.compareDir) {
+        const variantComparisons = await compareScreenshotsWithBaselines(
+          screenshotPaths,
+          variantConfig
+        );
+        const failed = variantComparisons.filter((result) => !result.passed);
+        const formatted = variantComparisons
+          .map((result) => formatComparisonResult(result, variantConfig))
+          .join("\n");
+        comparisons.push(
+          ...variantComparisons.map((result) => ({
+            ...(variant.name ? { variant: variant.name } : {}),
+            ...result,
+            screenshotPath: toRelative(result.screenshotPath),
+            diffPath: result.diffPath && toRelative(result.diffPath),
+          }))
+        );
 
-      try {
-        for (const callback of lastExecutedCallbacks) {
-          try {
-            callback.call(window, targetTimestamp);
-            recordExecutedCallback(callback);
-            executed += 1;
-          } catch (error) {
-            console.warn(
-              "Failed to replay most recent requestAnimationFrame callback",
-              error
-            );
-          }
+        if (failed.length > 0) {
+          logger.error(
+            `Visual regression: ${failed.length} of ${variantComparisons.length} frame(s) of ${label} differ from the baselines ->\n${formatted}`
+          );
+        } else {
+          logger.log(
+            `Visual regression: ${label} matches the baselines ->\n${formatted}`
+          );
         }
-      } finally {
-        automationState.disableRafScheduling = previousDisable;
       }
+    }
 
-      return executed;
-    };
-  });
-}
+    entry.comparisons = comparisons;
+    entry.determinism = determinism;
+    const failures = [];
+    const failedCount = comparisons.filter((result) => !result.passed).length;
+    if (failedCount > 0) {
+      failures.push(
+        `${failedCount} of ${comparisons.length} frame(s) differ from the baselines.`
+      );
+    }
 
-// Installs any framework-specific patches before page scripts execute.
-async function injectFrameworkPatches(context) {
-  for (const patch of FRAMEWORK_PATCHES) {
-    try {
-      await context.addInitScript(patch.initScript);
-    } catch (error) {
-      console.warn(`Failed to apply framework patch "${patch.name}":`, error);
+    if (determinism.length > 0) {
+      failures.push(
+        `${countUnstableFrames(determinism)} frame(s) differ between runs.`
+      );
+    }
+
+    if (entry.unmatchedRequests.length > 0) {
+      const action = fileConfig.blockUnmatchedRequests ? "blocked" : "allowed";
+      const formatted = entry.unmatchedRequests
+        .map((url) => `  - ${url}`)
+        .join("\n");
+      logger.warn(
+        `${animationFile} made ${entry.unmatchedRequests.length} external request(s) that no route matches (${action}) ->\n${formatted}`
+      );
+
+      if (fileConfig.failOnUnmatchedRequests) {
+        failures.push(
+          `${entry.unmatchedRequests.length} external request(s) matched no route.`
+        );
+      }
+    }
+
+    if (failures.length > 0) {
+      entry.status = "failed";
+      entry.error = failures.join(" ");
     }
+  } catch (error) {
+    logger.error(`Failed to capture ${animationFile}:`, error);
+    entry.status = "failed";
+    entry.error = error?.message || String(error);
   }
+
+  return entry;
 }
 
-// Waits for initial real-time ticks so animations can initialize before virtual time control begins.
-async function waitForAnimationBootstrap(page, config) {
-  if (config.maxInitialRealtimeWaitMs <= 0) {
-    return;
-  }
+// Collects log, warn and error calls so a file captured alongside others can
+// print its output as one uninterrupted block once flush() is called.
+function createBufferedLogger() {
+  const entries = [];
+  const record =
+    (method) =>
+    (...args) =>
+      entries.push([method, args]);
+
+  return {
+    log: record("log"),
+    warn: record("warn"),
+    error: record("error"),
+    flush() {
+      for (const [method, args] of entries.splice(0)) {
+        console[method](...args);
+      }
+    },
+  };
+}
 
-  const initialWait = Math.min(
-    config.minInitialRealtimeWaitMs,
-    config.maxInitialRealtimeWaitMs
+// Maps `items` through the async `mapper` with at most `limit` calls in
+// flight. Results keep the order of `items` regardless of completion order.
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
   );
+  return results;
+}
 
-  if (initialWait > 0) {
-    await page.waitForTimeout(initialWait);
-  }
+// Resolves and validates the configuration of every animation file, adding the
+// `screenshotBasename` its outputs are named after.
+function resolveFileCaptureConfigs(config, animationFiles) {
+  const fileConfigs = new Map(
+    animationFiles.map((animationFile) => {
+      const fileConfig = resolveFileCaptureConfig(config, animationFile);
+      validateCaptureConfig(fileConfig);
+      return [animationFile, fileConfig];
+    })
+  );
+  const basenames = buildScreenshotBasenames(animationFiles, fileConfigs);
+
+  return new Map(
+    animationFiles.map((animationFile) => [
+      animationFile,
+      Object.freeze({
+        ...fileConfigs.get(animationFile),
+        screenshotBasename: basenames.get(animationFile),
+      }),
+    ])
+  );
+}
 
-  const remainingBudget = Math.max(
-    0,
-    config.maxInitialRealtimeWaitMs - initialWait
+// Captures `animationFiles` with up to `concurrency` files in flight and
+// resolves to their manifest entries in file order. Parallel files log into
+// buffers that are flushed in file order, so the console output reads the
+// same as a sequential run.
+async function captureAnimationBatch(
+  browser,
+  animationFiles,
+  fileConfigs,
+  concurrency
+) {
+  const loggers = animationFiles.map(() =>
+    concurrency > 1 ? createBufferedLogger() : console
   );
+  const finished = animationFiles.map(() => false);
+  let flushedCount = 0;
+
+  return mapWithConcurrency(
+    animationFiles,
+    concurrency,
+    async (animationFile, index) => {
+      const entry = await processAnimationFile(
+        browser,
+        animationFile,
+        fileConfigs.get(animationFile),
+        loggers[index]
+      );
 
-  if (remainingBudget === 0 || config.minRafTicksBeforeVirtualTime <= 0) {
-    return;
-  }
+      finished[index] = true;
+      while (flushedCount < animationFiles.length && finished[flushedCount]) {
+        loggers[flushedCount].flush?.();
+        flushedCount += 1;
+      }
 
-  try {
-    await page.waitForFunction(
-      // Waits until the page has observed enough RAF ticks for the bootstrap heuristics.
-      (minTicks) => (window.__captureAutomation?.rafTickCount || 0) >= minTicks,
-      config.minRafTicksBeforeVirtualTime,
-      { timeout: remainingBudget }
-    );
-  } catch (error) {
-    if (!/Timeout/i.test(error?.message || "")) {
-      throw error;
+      return entry;
     }
-  }
+  );
 }
 
-// Opens an example file, fast-forwards its animations, and saves screenshots for each capture timestamp.
-async function captureAnimationFile(browser, animationFile, config) {
-  const targetPath = path.resolve(config.exampleDir, animationFile);
-  const context = await browser.newContext({ viewport: config.viewport });
-  let page;
+async function writeRunOutputs(manifest, outputDir) {
+  const manifestPath = await writeRunManifest(manifest, outputDir);
+  console.log(`Wrote run manifest -> ${manifestPath}`);
+  const reportPath = await writeRunReport(manifest, outputDir);
+  console.log(`Wrote capture report -> ${reportPath}`);
+}
 
-  try {
-    await injectRafProbe(context);
-    await injectFrameworkPatches(context);
-    page = await context.newPage();
-    const fileUrl = pathToFileURL(targetPath).href;
-    await page.goto(fileUrl, { waitUntil: "load" });
+// Picks the animations a set of changed absolute paths affects: files that are
+// new to the run, whose HTML changed, or that loaded a changed file during
+// their last capture (`entries` maps file names to their manifest entries).
+function findAffectedAnimationFiles(
+  animationFiles,
+  entries,
+  changedPaths,
+  exampleDir
+) {
+  const changed = new Set(
+    changedPaths.map((changedPath) => path.resolve(changedPath))
+  );
 
-    // Allow a slice of real time so requestAnimationFrame callbacks (and any
-    // animation framework lifecycle hooks) can run before we seize control of
-    // virtual time. The RAF probe waits for a minimum number of ticks—up to a
-    // 1s cap—to cover animations that rely on several frames of bootstrap work
-    // before reaching their steady state.
-    await waitForAnimationBootstrap(page, config);
+  return animationFiles.filter((animationFile) => {
+    const entry = entries.get(animationFile);
 
-    const client = await context.newCDPSession(page);
+    return (
+      !entry ||
+      changed.has(path.resolve(exampleDir, animationFile)) ||
+      entry.dependencies.some((dependency) =>
+        changed.has(path.resolve(exampleDir, dependency))
+      )
+    );
+  });
+}
 
-    await client.send("Emulation.setVirtualTimePolicy", {
-      policy: "pauseIfNetworkFetchesPending",
-      budget: 0,
-      initialVirtualTime: 0,
-    });
+// Quiet period that groups the burst of events a single save produces.
+const WATCH_DEBOUNCE_MS = 200;
+
+// Keeps the browser open and re-captures animations whenever their HTML or a
+// file they loaded changes under config.exampleDir. The manifest and report
+// are rewritten after every round; resolves once SIGINT or SIGTERM arrives
+// and any capture in progress has finished.
+async function watchAnimationFiles(browser, config, manifest) {
+  const outputDir = path.resolve(config.outputDir);
+  const pendingPaths = new Set();
+  let debounceTimer = null;
+  let capturing = Promise.resolve();
+
+  const recapture = async () => {
+    const changedPaths = Array.from(pendingPaths);
+    pendingPaths.clear();
+
+    let animationFiles;
+    let fileConfigs;
+    try {
+      animationFiles = await resolveAnimationFiles(
+        config.exampleDir,
+        config.animationPattern,
+        config.outputDir
+      );
+      fileConfigs = resolveFileCaptureConfigs(config, animationFiles);
+    } catch (error) {
+      console.error(error.message);
+      return;
+    }
 
-    const captureTimeline = buildCaptureTimeline(
-      config.targetTimeMs,
-      config.frameCaptureIntervalMs
+    const entries = new Map(manifest.files.map((entry) => [entry.file, entry]));
+    const affectedFiles = findAffectedAnimationFiles(
+      animationFiles,
+      entries,
+      changedPaths,
+      config.exampleDir
+    );
+    const removedFiles = manifest.files.filter(
+      (entry) => !animationFiles.includes(entry.file)
     );
-    const finalTimestamp = captureTimeline[captureTimeline.length - 1] || 0;
-    const padLength = Math.max(4, String(finalTimestamp).length);
-
-    const safeName = animationFile
-      .replace(/[\\/]/g, "-")
-      .replace(HTML_FILE_PATTERN, "")
-      .trim();
-    const screenshotBasename = safeName || "animation";
-    const screenshotPaths = [];
-    let currentVirtualTime = 0;
 
-    for (const targetTimestamp of captureTimeline) {
-      const normalizedTimestamp = Math.max(0, Math.round(targetTimestamp));
-      const delta = normalizedTimestamp - currentVirtualTime;
+    if (affectedFiles.length === 0 && removedFiles.length === 0) {
+      return;
+    }
 
-      if (delta > 0) {
-        await restorePerformanceNow(page);
-        await advanceVirtualTime(client, delta);
-        currentVirtualTime = normalizedTimestamp;
-      }
+    if (affectedFiles.length > 0) {
+      console.log(`Change detected, re-capturing ${affectedFiles.join(", ")}.`);
+    }
 
-      const settleDelay =
-        normalizedTimestamp === finalTimestamp
-          ? config.postVirtualTimeWaitMs
-          : config.interstepRealtimeWaitMs;
+    const entriesByFile = new Map(entries);
+    for (const entry of await captureAnimationBatch(
+      browser,
+      affectedFiles,
+      fileConfigs,
+      config.concurrency || 1
+    )) {
+      entriesByFile.set(entry.file, entry);
+    }
 
-      if (settleDelay > 0) {
-        await page.waitForTimeout(settleDelay);
+    manifest.generatedAt = new Date().toISOString();
+    manifest.animationFiles = animationFiles;
+    manifest.files = animationFiles.map((file) => entriesByFile.get(file));
+    await writeRunOutputs(manifest, config.outputDir);
+  };
+
+  const watcher = watch(
+    config.exampleDir,
+    { recursive: true },
+    (eventType, filename) => {
+      if (!filename) {
+        return;
       }
 
-      await synchronizeAnimationState(page, normalizedTimestamp);
-
-      const timestampLabel = String(normalizedTimestamp).padStart(
-        padLength,
-        "0"
-      );
-      const screenshotFilename = `${screenshotBasename}-${timestampLabel}ms.png`;
-      const screenshotPath = path.resolve(config.outputDir, screenshotFilename);
+      // Ignore our own screenshots when the output lives under exampleDir.
+      const changedPath = path.resolve(config.exampleDir, filename);
+      if (
+        changedPath === outputDir ||
+        changedPath.startsWith(`${outputDir}${path.sep}`)
+      ) {
+        return;
+      }
 
-      await page.screenshot({ path: screenshotPath });
-      screenshotPaths.push(screenshotPath);
+      pendingPaths.add(changedPath);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => {
+        capturing = capturing
+          .then(recapture)
+          .catch((error) =>
+            console.error("Failed to re-capture after a change:", error)
+          );
+      }, WATCH_DEBOUNCE_MS);
     }
+  );
 
-    await restorePerformanceNow(page);
+  console.log(
+    `Watching ${config.exampleDir} for changes. Press Ctrl+C to stop.`
+  );
 
-    return screenshotPaths;
-  } finally {
-    await context.close();
-  }
-}
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      resolve();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
 
-// Prints actionable troubleshooting hints when Chromium fails to start.
-function logChromiumLaunchFailure(error, config) {
-  const message = error?.message || "";
+  clearTimeout(debounceTimer);
+  watcher.close();
+  await capturing;
+}
 
-  if (message.includes("Executable doesn't exist")) {
-    console.error(
-      'Playwright Chromium binary not found. Run "npx playwright install chromium" and retry.'
-    );
-  } else if (config.browserExecutablePath) {
-    console.error(
-      `Unable to launch the browser at PLAYWRIGHT_CHROME_EXECUTABLE (currently '${config.browserExecutablePath}'). Verify the path and retry.`
-    );
-  } else if (config.browserChannel) {
-    console.error(
-      `Failed to launch the Playwright channel "${config.browserChannel}". Ensure the corresponding browser (for example Google Chrome for "chrome") is installed and Playwright supports it on this platform.`
-    );
-  } else if (message.includes("Host system is missing dependencies")) {
-    console.error(
-      'Chromium is missing required system libraries. Install them with "npx playwright install-deps" (or consult Playwright\'s documentation for your platform) and retry.'
-    );
-  } else {
-    console.error("Failed to launch Chromium:", error);
+// Prints the inventory of every animation file and writes them all to
+// inventory.json in outputDir. Files that fail to load are reported and set a
+// failing exit code without stopping the rest.
+async function inspectAnimationFiles(
+  browser,
+  animationFiles,
+  fileConfigs,
+  config
+) {
+  const files = [];
+
+  for (const animationFile of animationFiles) {
+    try {
+      const inventory = await inspectAnimationFile(
+        browser,
+        animationFile,
+        fileConfigs.get(animationFile)
+      );
+      console.log(`${formatAnimationInventory(inventory)}\n`);
+      files.push({
+        file: animationFile,
+        status: "passed",
+        error: null,
+        ...inventory,
+      });
+    } catch (error) {
+      console.error(`Failed to inspect ${animationFile}: ${error.message}`);
+      files.push({
+        file: animationFile,
+        status: "failed",
+        error: error.message,
+      });
+      process.exitCode = 1;
+    }
   }
+
+  const inventoryPath = path.resolve(config.outputDir, "inventory.json");
+  await fs.writeFile(
+    inventoryPath,
+    `${JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        browser: { name: "chromium", version: browser.version() },
+        files,
+      },
+      null,
+      2
+    )}\n`
+  );
+  console.log(`Inventory written to ${inventoryPath}`);
 }
 
 // Orchestrates the capture workflow end-to-end for the requested animation.
 async function runCaptureWorkflow() {
+  const cliArgs = process.argv.slice(2);
+
+  if (isHelpRequested(cliArgs)) {
+    console.log(formatCaptureUsage());
+    return;
+  }
+
   let config;
 
   try {
-    config = buildCaptureConfig(process.argv.slice(2));
+    config = buildCaptureConfig(cliArgs);
     validateCaptureConfig(config);
   } catch (error) {
     console.error(error.message);
@@ -1211,7 +6246,9 @@ async function runCaptureWorkflow() {
   }
 
   try {
-    await ensureDirectoryAvailable(config.exampleDir);
+    if (!isAnimationUrl(config.animationPattern)) {
+      await ensureDirectoryAvailable(config.exampleDir);
+    }
   } catch (error) {
     console.error(error.message);
     process.exitCode = 1;
@@ -1222,7 +6259,8 @@ async function runCaptureWorkflow() {
   try {
     animationFiles = await resolveAnimationFiles(
       config.exampleDir,
-      config.animationPattern
+      config.animationPattern,
+      config.outputDir
     );
   } catch (error) {
     console.error(error.message);
@@ -1230,6 +6268,15 @@ async function runCaptureWorkflow() {
     return;
   }
 
+  let fileConfigs;
+  try {
+    fileConfigs = resolveFileCaptureConfigs(config, animationFiles);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
   await fs.mkdir(config.outputDir, { recursive: true });
 
   let chromium;
@@ -1250,37 +6297,59 @@ async function runCaptureWorkflow() {
     return;
   }
 
-  try {
-    let hasFailures = false;
+  let staticServer = null;
+  if (config.serve) {
+    try {
+      staticServer = await startStaticServer(config.exampleDir);
+    } catch (error) {
+      console.error(`Failed to start the local HTTP server: ${error.message}`);
+      await browser.close();
+      process.exitCode = 1;
+      return;
+    }
 
-    for (const animationFile of animationFiles) {
-      try {
-        const screenshotPaths = await captureAnimationFile(
-          browser,
-          animationFile,
-          config
-        );
+    console.log(`Serving ${config.exampleDir} at ${staticServer.origin}`);
+    // Re-resolve so every file configuration carries the server address.
+    config = Object.freeze({
+      ...config,
+      staticServer: Object.freeze({
+        origin: staticServer.origin,
+        rootDir: staticServer.rootDir,
+      }),
+    });
+    fileConfigs = resolveFileCaptureConfigs(config, animationFiles);
+  }
 
-        if (screenshotPaths.length === 0) {
-          console.warn(`No screenshots were generated for ${animationFile}.`);
-        } else if (screenshotPaths.length === 1) {
-          console.log(`Captured ${animationFile} -> ${screenshotPaths[0]}`);
-        } else {
-          const formatted = screenshotPaths
-            .map((file) => `  - ${file}`)
-            .join("\n");
-          console.log(`Captured ${animationFile} ->\n${formatted}`);
-        }
-      } catch (error) {
-        console.error(`Failed to capture ${animationFile}:`, error);
-        hasFailures = true;
-      }
+  if (config.inspect) {
+    try {
+      await inspectAnimationFiles(browser, animationFiles, fileConfigs, config);
+    } finally {
+      await staticServer?.close();
+      await browser.close();
+    }
+    return;
+  }
+
+  const manifest = createRunManifest(config, browser, animationFiles);
+
+  try {
+    manifest.files = await captureAnimationBatch(
+      browser,
+      animationFiles,
+      fileConfigs,
+      config.concurrency || 1
+    );
+    await writeRunOutputs(manifest, config.outputDir);
+
+    if (config.watch) {
+      await watchAnimationFiles(browser, config, manifest);
     }
 
-    if (hasFailures) {
+    if (manifest.files.some((entry) => entry.status !== "passed")) {
       process.exitCode = 1;
     }
   } finally {
+    await staticServer?.close();
     if (browser) {
       await browser.close();
     }
@@ -1299,9 +6368,49 @@ if (require.main === module) {
 }
 
 module.exports = {
+  FRAMEWORK_PATCHES,
   buildCaptureConfig,
   buildCaptureTimeline,
+  buildCaptureVariants,
+  buildContactSheetLayout,
+  buildFrameDelays,
+  buildRegionSlugs,
+  buildRunReportHtml,
+  buildScreenshotBasename,
+  buildScreenshotBasenames,
+  captureAnimation,
+  compareDeterminismRun,
+  comparePngImages,
+  compareScreenshotsWithBaselines,
   containsWildcards,
+  createRunManifest,
+  cropRegionFrames,
+  detectAnimatedImageType,
+  detectAnimationEndTime,
+  encodeApng,
+  encodeGif,
+  findAffectedAnimationFiles,
+  findRequestRoute,
+  formatAnimationInventory,
+  formatCaptureUsage,
+  formatTimestampLabel,
+  installDeterministicGlobals,
+  loadFrameworkPatches,
+  mapWithConcurrency,
+  normalizeCaptureTimeline,
+  parseByteRange,
+  parseCaptureArgs,
+  parseTimelineSpec,
+  prepareAnimatedImages,
+  readPngDimensions,
+  resolveAnimationFiles,
+  resolveCaptureTimeline,
+  resolveFileCaptureConfig,
+  resolveTimelineStepMs,
+  serializePageFunction,
+  splitAnimationPath,
+  startStaticServer,
+  synchronizeDecodedFrames,
   validateCaptureConfig,
   resolveAnimationPattern,
   wildcardToRegExp,
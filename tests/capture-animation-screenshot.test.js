@@ -1,14 +1,79 @@
-const { test } = require('node:test');
+const { after, test } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+const { EventEmitter } = require('node:events');
+const { PNG } = require('pngjs');
 
 const {
+  FRAMEWORK_PATCHES,
+  buildCaptureConfig,
   buildCaptureTimeline,
+  buildCaptureVariants,
+  buildContactSheetLayout,
+  buildFrameDelays,
+  buildRegionSlugs,
+  buildRunReportHtml,
+  buildScreenshotBasename,
+  buildScreenshotBasenames,
+  captureAnimation,
+  compareDeterminismRun,
+  comparePngImages,
+  compareScreenshotsWithBaselines,
   containsWildcards,
+  createRunManifest,
+  cropRegionFrames,
+  detectAnimatedImageType,
+  detectAnimationEndTime,
+  encodeApng,
+  encodeGif,
+  findAffectedAnimationFiles,
+  findRequestRoute,
+  formatAnimationInventory,
+  formatCaptureUsage,
+  formatTimestampLabel,
+  installDeterministicGlobals,
+  loadFrameworkPatches,
+  mapWithConcurrency,
+  normalizeCaptureTimeline,
+  parseByteRange,
+  parseCaptureArgs,
+  parseTimelineSpec,
+  prepareAnimatedImages,
+  readPngDimensions,
+  resolveAnimationFiles,
   resolveAnimationPattern,
+  resolveCaptureTimeline,
+  resolveFileCaptureConfig,
+  resolveTimelineStepMs,
+  serializePageFunction,
+  splitAnimationPath,
+  startStaticServer,
+  synchronizeDecodedFrames,
   validateCaptureConfig,
   wildcardToRegExp,
 } = require('../scripts/capture-animation-screenshot');
 
+const temporaryDirectories = [];
+
+function makeTemporaryDirectory(prefix) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  temporaryDirectories.push(directory);
+  return directory;
+}
+
+after(() => {
+  for (const directory of temporaryDirectories) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+// An empty working directory, so a capture.config.* file wherever the tests
+// run cannot leak into buildCaptureConfig results.
+const isolatedCwd = makeTemporaryDirectory('capture-cwd-');
+
 test('buildCaptureTimeline returns a monotonic sequence ending at the target', () => {
   const timeline = buildCaptureTimeline(450, 200);
   assert.deepStrictEqual(timeline, [0, 200, 400, 450]);
@@ -19,23 +84,201 @@ test('buildCaptureTimeline handles missing or invalid intervals by returning onl
   assert.deepStrictEqual(buildCaptureTimeline(400, Number.NaN), [400]);
 });
 
+test('buildCaptureTimeline supports start offsets and fractional intervals', () => {
+  assert.deepStrictEqual(buildCaptureTimeline(1000, 400, 300), [300, 700, 1000]);
+  assert.deepStrictEqual(buildCaptureTimeline(100, 1000 / 30), [0, 33.333, 66.667, 100]);
+  assert.deepStrictEqual(buildCaptureTimeline(500, 200, 900), [500]);
+});
+
+test('timelines reject steps under 1 ms and more frames than the cap', () => {
+  assert.throws(() => buildCaptureTimeline(1000, 0.5), /step of at least 1ms \(1000 fps\)/);
+  assert.throws(() => parseTimelineSpec('0..1000@0.5'), /step of the timeline range "0\.\.1000@0\.5" to be at least 1ms/);
+  assert.throws(() => parseTimelineSpec('0..1000@2000fps'), /to be at least 1ms \(1000 fps\)/);
+  assert.deepStrictEqual(parseTimelineSpec('0..3@1000fps').map((entry) => entry.timestampMs), [0, 1, 2, 3]);
+  assert.strictEqual(parseTimelineSpec('0..9999@1').length, 10000);
+  assert.throws(() => parseTimelineSpec('0..10000@1'), /at most 10000 frames\. It has 10001\./);
+  assert.throws(() => parseTimelineSpec('0..6000@1,6001..12000@1'), /the timeline "0\.\.6000@1,6001\.\.12000@1" to have at most 10000 frames/);
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['demo.html', '--target', '60000', '--interval', '1'], {}, isolatedCwd)),
+    /at most 10000 frames/
+  );
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['demo.html', '--interval', '0.5'], {}, isolatedCwd)),
+    /frameCaptureIntervalMs to be at least 1 \(1000 fps\)/
+  );
+});
+
+test('parseTimelineSpec expands lists, ranges, frame rates and named timestamps', () => {
+  assert.deepStrictEqual(parseTimelineSpec('4000, 0,250,1337'), [
+    { timestampMs: 0 },
+    { timestampMs: 250 },
+    { timestampMs: 1337 },
+    { timestampMs: 4000 },
+  ]);
+  assert.deepStrictEqual(
+    parseTimelineSpec('1s..2s@500,peak=1.5s,end=2000').map(({ timestampMs, name }) => [timestampMs, name]),
+    [
+      [1000, undefined],
+      [1500, 'peak'],
+      [2000, 'end'],
+    ]
+  );
+  assert.deepStrictEqual(
+    parseTimelineSpec('0..100@30fps').map((entry) => entry.timestampMs),
+    [0, 33.333, 66.667, 100]
+  );
+  assert.deepStrictEqual(
+    parseTimelineSpec('0..400', 200).map((entry) => entry.timestampMs),
+    [0, 200, 400]
+  );
+  assert.throws(() => parseTimelineSpec('0,soon'), /Invalid timestamp "soon"/);
+  assert.throws(() => parseTimelineSpec('500..100@10'), /to end after it starts/);
+  assert.throws(() => parseTimelineSpec('0..100'), /positive step/);
+  assert.throws(() => parseTimelineSpec(' , '), /at least one timestamp/);
+});
+
+test('resolveCaptureTimeline prefers explicit timelines, then fps, then the interval', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+  const timestamps = (config) => resolveCaptureTimeline(config).map((entry) => entry.timestampMs);
+
+  assert.deepStrictEqual(timestamps(build('--target', '600', '--start', '200')), [200, 400, 600]);
+  assert.deepStrictEqual(timestamps(build('--target', '50', '--fps', '60')), [0, 16.667, 33.333, 50]);
+  assert.deepStrictEqual(timestamps(build('--fps', '60', '--timeline', '10,20')), [10, 20]);
+  assert.throws(() => validateCaptureConfig(build('--timeline', '1..')), /Invalid timestamp "1\.\."/);
+  assert.throws(() => validateCaptureConfig(build('--start', '5000')), /timelineStartMs \(5000\) to be less than or equal/);
+  assert.throws(() => validateCaptureConfig(build('--fps', '0')), /framesPerSecond to be greater than 0/);
+});
+
+test('formatTimestampLabel pads whole and fractional timestamps for sorting', () => {
+  assert.strictEqual(formatTimestampLabel(200, 4, 0), '0200');
+  assert.strictEqual(formatTimestampLabel(33.333, 4, 3), '0033.333');
+  assert.strictEqual(formatTimestampLabel(1000, 4, 3), '1000.000');
+  assert.strictEqual(formatTimestampLabel(12500.5, 4, 1), '12500.5');
+});
+
 test('resolveAnimationPattern validates HTML filenames and strips nothing else', () => {
   assert.strictEqual(resolveAnimationPattern(['example.htm']), 'example.htm');
   assert.strictEqual(resolveAnimationPattern(['example.html']), 'example.html');
   assert.throws(() => resolveAnimationPattern([]), /Expected the HTML file name/);
 });
 
-test('resolveAnimationPattern rejects paths and surplus arguments', () => {
-  assert.throws(
-    () => resolveAnimationPattern(['nested/example.html']),
-    /Provide only the HTML file name/
+test('resolveAnimationPattern accepts paths and URLs but rejects surplus arguments', () => {
+  assert.strictEqual(resolveAnimationPattern(['nested/example.html']), 'nested/example.html');
+  assert.strictEqual(resolveAnimationPattern(['src/**/banner-*.html']), 'src/**/banner-*.html');
+  assert.strictEqual(
+    resolveAnimationPattern(['http://localhost:8080/banner']),
+    'http://localhost:8080/banner'
   );
+  assert.throws(() => resolveAnimationPattern(['src/**']), /does not look like an HTML file/);
+  assert.throws(() => resolveAnimationPattern(['http://']), /not a valid URL/);
   assert.throws(
     () => resolveAnimationPattern(['example.html', 'extra.html']),
     /unexpected extra arguments/
   );
 });
 
+test('path arguments root the run in their own directory and mirror it in the output', () => {
+  assert.deepStrictEqual(splitAnimationPath('src/**/banner-*.html', '/work'), {
+    rootDir: path.resolve('/work/src'),
+    pattern: '**/banner-*.html',
+  });
+  assert.deepStrictEqual(splitAnimationPath('../ads/promo.html', '/work/app'), {
+    rootDir: path.resolve('/work/ads'),
+    pattern: 'promo.html',
+  });
+  assert.deepStrictEqual(splitAnimationPath('*/index.html', '/work'), {
+    rootDir: path.resolve('/work'),
+    pattern: '*/index.html',
+  });
+
+  const config = buildCaptureConfig(['--examples', 'ignored', 'fixtures/ads/*.html'], {}, isolatedCwd);
+  assert.strictEqual(config.exampleDir, path.join(isolatedCwd, 'fixtures/ads'));
+  assert.strictEqual(config.animationPattern, '*.html');
+
+  assert.strictEqual(buildScreenshotBasename('demo.html'), 'demo');
+  assert.strictEqual(buildScreenshotBasename('ads/a-b.html'), 'ads/a-b');
+  assert.strictEqual(buildScreenshotBasename('ads-a/b.html'), 'ads-a/b');
+  assert.strictEqual(buildScreenshotBasename('../../etc/./x.html'), 'etc/x');
+  assert.strictEqual(
+    buildScreenshotBasename('http://localhost:8080/ads/banner.html?v=2'),
+    'localhost-8080/ads/banner-v-2'
+  );
+  assert.strictEqual(buildScreenshotBasename('http://localhost:8080/ads/banner.html'), 'localhost-8080/ads/banner');
+  assert.strictEqual(buildScreenshotBasename('https://example.test/?theme=dark&lang=en'), 'example.test/index-theme-dark-lang-en');
+  assert.strictEqual(buildScreenshotBasename('https://example.test/'), 'example.test/index');
+  assert.strictEqual(buildScreenshotBasename('http://[::1]:8080/banner.html'), '--1-8080/banner');
+  assert.strictEqual(buildScreenshotBasename('http://[2001:db8::7]/a/'), '2001-db8--7/a/index');
+});
+
+test('buildScreenshotBasenames numbers files whose outputs would share names', () => {
+  assert.deepStrictEqual(
+    buildScreenshotBasenames(['ads/banner.html', 'ads/banner.htm', 'ads/Banner.html', 'demo.html']),
+    new Map([
+      ['ads/banner.html', 'ads/banner'],
+      ['ads/banner.htm', 'ads/banner-2'],
+      ['ads/Banner.html', 'ads/Banner-3'],
+      ['demo.html', 'demo'],
+    ])
+  );
+
+  // "a.html" captured with --selector "#stage" writes the "a-stage" series.
+  assert.deepStrictEqual(
+    buildScreenshotBasenames(['a-stage.html', 'a.html', 'b.html'], new Map([['a.html', { selectors: ['#stage'] }]])),
+    new Map([
+      ['a-stage.html', 'a-stage'],
+      ['a.html', 'a-2'],
+      ['b.html', 'b'],
+    ])
+  );
+  assert.deepStrictEqual(
+    buildScreenshotBasenames(['a.html', 'a-stage.html'], new Map([['a.html', { selectors: ['#stage', '#title'] }]])),
+    new Map([
+      ['a.html', 'a'],
+      ['a-stage.html', 'a-stage-2'],
+    ])
+  );
+});
+
+test('resolveAnimationFiles walks subdirectories only for patterns with a "/"', async () => {
+  const root = makeTemporaryDirectory('capture-resolve-');
+  for (const file of [
+    'banner-top.html',
+    'ads/banner-a.html',
+    'ads/deep/banner-b.htm',
+    'ads/notes.txt',
+    'node_modules/pkg/banner-x.html',
+    '.cache/banner-y.html',
+    'output/banner-report.html',
+  ]) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), '');
+  }
+
+  assert.deepStrictEqual(await resolveAnimationFiles(root, 'banner-*'), ['banner-top.html']);
+  assert.deepStrictEqual(
+    await resolveAnimationFiles(root, '**/banner-*', path.join(root, 'output')),
+    ['ads/banner-a.html', 'ads/deep/banner-b.htm', 'banner-top.html']
+  );
+  assert.deepStrictEqual(await resolveAnimationFiles(root, '*/banner-*'), [
+    'ads/banner-a.html',
+    'output/banner-report.html',
+  ]);
+  assert.deepStrictEqual(await resolveAnimationFiles(root, 'ads/deep/banner-b.htm'), [
+    'ads/deep/banner-b.htm',
+  ]);
+  assert.deepStrictEqual(await resolveAnimationFiles(root, 'http://localhost:8080/'), [
+    'http://localhost:8080/',
+  ]);
+
+  assert.deepStrictEqual(
+    resolveFileCaptureConfig(
+      { targetTimeMs: 1, fileOverrides: [{ pattern: 'banner-*.html', settings: { targetTimeMs: 2 } }], cliOverrides: {} },
+      'ads/banner-a.html'
+    ).targetTimeMs,
+    2
+  );
+});
+
 test('wildcard matching utilities respect glob semantics case-insensitively', () => {
   assert.strictEqual(containsWildcards('demo.html'), false);
   assert.strictEqual(containsWildcards('demo-*.html'), true);
@@ -79,3 +322,1262 @@ test('validateCaptureConfig enforces max wait not falling below the minimum', ()
     /greater than or equal/
   );
 });
+
+test('parseCaptureArgs separates positionals from spaced and inline option values', () => {
+  const { positionals, options } = parseCaptureArgs([
+    '--target',
+    '6000',
+    'demo.html',
+    '--viewport=640x480',
+    '--out',
+    'tmp/custom',
+  ]);
+
+  assert.deepStrictEqual(positionals, ['demo.html']);
+  assert.strictEqual(options.targetTimeMs, 6000);
+  assert.deepStrictEqual(options.viewport, { width: 640, height: 480 });
+  assert.strictEqual(options.outputDir, path.resolve('tmp/custom'));
+});
+
+test('parseCaptureArgs rejects unknown options, missing values and malformed viewports', () => {
+  assert.throws(() => parseCaptureArgs(['--bogus']), /Unknown option "--bogus"/);
+  assert.throws(() => parseCaptureArgs(['demo.html', '--target']), /Expected a value after "--target"/);
+  assert.throws(() => parseCaptureArgs(['--viewport', '640']), /WIDTHxHEIGHT/);
+  assert.throws(() => parseCaptureArgs(['--help=yes']), /does not take a value/);
+});
+
+test('buildCaptureConfig applies CLI overrides on top of the defaults', () => {
+  const config = buildCaptureConfig(
+    ['demo.html', '--interval', '100', '--post-wait', '0', '--examples', 'fixtures'],
+    {},
+    isolatedCwd
+  );
+
+  assert.strictEqual(config.animationPattern, 'demo.html');
+  assert.strictEqual(config.frameCaptureIntervalMs, 100);
+  assert.strictEqual(config.postVirtualTimeWaitMs, 0);
+  assert.strictEqual(config.exampleDir, path.join(isolatedCwd, 'fixtures'));
+  assert.strictEqual(config.targetTimeMs, 4000);
+  assert.deepStrictEqual(config.viewport, { width: 320, height: 240 });
+  assert.ok(Object.isFrozen(config));
+  assert.doesNotThrow(() => validateCaptureConfig(config));
+});
+
+test('validateCaptureConfig reports malformed CLI values', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+
+  assert.throws(() => validateCaptureConfig(build('--target', 'soon')), /config\.targetTimeMs to be a finite number/);
+  assert.throws(() => validateCaptureConfig(build('--target', '-1')), /greater than or equal to 0/);
+  assert.throws(() => validateCaptureConfig(build('--interval', '0')), /frameCaptureIntervalMs to be greater than 0/);
+  assert.throws(() => validateCaptureConfig(build('--viewport', '640x0')), /viewport\.height to be a positive integer/);
+  assert.throws(() => validateCaptureConfig(build('--out', '')), /outputDir to be a non-empty string/);
+});
+
+test('--target auto defers the timeline until the page reports its animations', () => {
+  const config = buildCaptureConfig(['demo.html', '--target', 'AUTO', '--start', '500'], {}, isolatedCwd);
+  assert.strictEqual(config.targetTimeMs, 'auto');
+  assert.strictEqual(config.autoTargetIterations, 1);
+  assert.doesNotThrow(() => validateCaptureConfig(config));
+  assert.strictEqual(resolveCaptureTimeline(config), null);
+  assert.deepStrictEqual(
+    resolveCaptureTimeline({ ...config, timeline: '0,250' }).map((entry) => entry.timestampMs),
+    [0, 250]
+  );
+
+  const capped = buildCaptureConfig(['demo.html', '--target', 'auto', '--auto-iterations', '3'], {}, isolatedCwd);
+  assert.strictEqual(capped.autoTargetIterations, 3);
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['demo.html', '--auto-iterations', '0'], {}, isolatedCwd)),
+    /autoTargetIterations to be a positive integer/
+  );
+});
+
+test('formatCaptureUsage lists every supported flag', () => {
+  const usage = formatCaptureUsage();
+
+  for (const flag of ['--target', '--interval', '--viewport', '--out', '--examples', '--post-wait', '--help']) {
+    assert.ok(usage.includes(flag), `usage should mention ${flag}`);
+  }
+});
+
+function writeCaptureConfig(contents, filename = 'capture.config.json') {
+  const directory = makeTemporaryDirectory('capture-config-');
+  const configPath = path.join(directory, filename);
+  fs.writeFileSync(configPath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return configPath;
+}
+
+test('buildCaptureConfig layers config file defaults and per-file overrides', () => {
+  const configPath = writeCaptureConfig({
+    frameCaptureIntervalMs: 250,
+    outputDir: 'frames',
+    overrides: {
+      'canvas-orbit-*.html': { targetTimeMs: 6000, frameCaptureIntervalMs: 100 },
+      'canvas-orbit-virtual-time.html': { viewport: '640x480' },
+    },
+  });
+  const config = buildCaptureConfig(['*.html', '--config', configPath], {}, isolatedCwd);
+
+  assert.strictEqual(config.configPath, configPath);
+  assert.strictEqual(config.frameCaptureIntervalMs, 250);
+  assert.strictEqual(config.outputDir, path.join(path.dirname(configPath), 'frames'));
+
+  assert.strictEqual(resolveFileCaptureConfig(config, 'css-animation.html'), config);
+
+  const canvasConfig = resolveFileCaptureConfig(config, 'canvas-orbit-virtual-time.html');
+  assert.strictEqual(canvasConfig.targetTimeMs, 6000);
+  assert.strictEqual(canvasConfig.frameCaptureIntervalMs, 100);
+  assert.deepStrictEqual(canvasConfig.viewport, { width: 640, height: 480 });
+  assert.doesNotThrow(() => validateCaptureConfig(canvasConfig));
+});
+
+test('buildCaptureConfig looks up capture.config.* in the given working directory', () => {
+  const configPath = writeCaptureConfig({ targetTimeMs: 1500 });
+
+  const config = buildCaptureConfig(['demo.html'], {}, path.dirname(configPath));
+  assert.strictEqual(config.configPath, configPath);
+  assert.strictEqual(config.targetTimeMs, 1500);
+
+  const isolated = buildCaptureConfig(['demo.html'], {}, isolatedCwd);
+  assert.strictEqual(isolated.configPath, null);
+  assert.strictEqual(isolated.targetTimeMs, 4000);
+});
+
+test('CLI flags take precedence over config file overrides', () => {
+  const configPath = writeCaptureConfig(
+    "module.exports = { overrides: { 'demo.html': { targetTimeMs: 6000, postVirtualTimeWaitMs: 0 } } };",
+    'capture.config.js'
+  );
+  const config = buildCaptureConfig(['demo.html', '--config', configPath, '--target', '1000'], {}, isolatedCwd);
+  const fileConfig = resolveFileCaptureConfig(config, 'demo.html');
+
+  assert.strictEqual(fileConfig.targetTimeMs, 1000);
+  assert.strictEqual(fileConfig.postVirtualTimeWaitMs, 0);
+});
+
+test('per-file overrides keep the root a path argument chose over --examples', () => {
+  const configPath = writeCaptureConfig({ overrides: { 'a.html': { targetTimeMs: 1500 } } });
+  const cwd = path.dirname(configPath);
+  const config = buildCaptureConfig(['--examples', 'ignored', 'fixtures/ads/*.html', '--target', '2000'], {}, cwd);
+  const fileConfig = resolveFileCaptureConfig(config, 'a.html');
+
+  assert.strictEqual(config.exampleDir, path.join(cwd, 'fixtures', 'ads'));
+  assert.strictEqual(fileConfig.exampleDir, config.exampleDir);
+  assert.strictEqual(fileConfig.targetTimeMs, 2000);
+});
+
+test('buildCaptureConfig resolves path options against the cwd it is given', () => {
+  const configPath = writeCaptureConfig({ targetTimeMs: 1200 }, 'custom.config.json');
+  const cwd = path.dirname(configPath);
+  assert.notStrictEqual(cwd, process.cwd());
+
+  const config = buildCaptureConfig(
+    ['demo.html', '--examples', 'pages', '--out', 'frames', '--config', 'custom.config.json', '--compare', 'baselines'],
+    {},
+    cwd
+  );
+
+  assert.strictEqual(config.exampleDir, path.join(cwd, 'pages'));
+  assert.strictEqual(config.outputDir, path.join(cwd, 'frames'));
+  assert.strictEqual(config.compareDir, path.join(cwd, 'baselines'));
+  assert.strictEqual(config.configPath, configPath);
+  assert.strictEqual(config.targetTimeMs, 1200);
+  assert.strictEqual(parseCaptureArgs(['--out', 'frames'], cwd).options.outputDir, path.join(cwd, 'frames'));
+});
+
+test('buildCaptureConfig rejects unknown or misplaced config file settings', () => {
+  const unknownPath = writeCaptureConfig({ targetTime: 100 });
+  assert.throws(() => buildCaptureConfig(['demo.html', '--config', unknownPath], {}, isolatedCwd), /Unknown setting "targetTime"/);
+
+  const misplacedPath = writeCaptureConfig({ overrides: { 'demo.html': { outputDir: 'elsewhere' } } });
+  assert.throws(() => buildCaptureConfig(['demo.html', '--config', misplacedPath], {}, isolatedCwd), /Unknown setting "outputDir" in the "demo.html" override/);
+
+  assert.throws(() => buildCaptureConfig(['demo.html', '--config', writeCaptureConfig('{ nope')], {}, isolatedCwd), /Failed to load the capture config file/);
+  assert.throws(() => buildCaptureConfig(['demo.html', '--config', 'missing.config.json'], {}, isolatedCwd), /Unable to find the capture config file/);
+});
+
+function createSolidPng(width, height, [r, g, b]) {
+  const png = new PNG({ width, height });
+  for (let offset = 0; offset < png.data.length; offset += 4) {
+    png.data[offset] = r;
+    png.data[offset + 1] = g;
+    png.data[offset + 2] = b;
+    png.data[offset + 3] = 255;
+  }
+  return png;
+}
+
+test('comparePngImages reports mismatch percentages and diff images', () => {
+  const baseline = createSolidPng(4, 4, [0, 0, 0]);
+  const identical = comparePngImages(createSolidPng(4, 4, [0, 0, 0]), baseline);
+  assert.strictEqual(identical.mismatchedPixels, 0);
+  assert.strictEqual(identical.diff, null);
+
+  const changed = createSolidPng(4, 4, [0, 0, 0]);
+  changed.data.fill(255, 0, 16);
+  const result = comparePngImages(changed, baseline, { pixelThreshold: 0.1 });
+  assert.strictEqual(result.mismatchedPixels, 4);
+  assert.strictEqual(result.mismatchPercent, 25);
+  assert.ok(result.diff instanceof PNG);
+
+  const resized = comparePngImages(createSolidPng(2, 2, [0, 0, 0]), baseline);
+  assert.strictEqual(resized.dimensionsMatch, false);
+  assert.strictEqual(resized.mismatchPercent, 100);
+});
+
+test('compareDeterminismRun reports changed frames and a changed frame count', async () => {
+  const outputDir = makeTemporaryDirectory('capture-determinism-');
+  const savedFrames = [0, 200].map((timestampMs) => {
+    const framePath = path.join(outputDir, `demo-${String(timestampMs).padStart(4, '0')}ms.png`);
+    fs.writeFileSync(framePath, PNG.sync.write(createSolidPng(4, 4, [0, 0, 0])));
+    return { timestampMs, path: framePath };
+  });
+  const black = PNG.sync.write(createSolidPng(4, 4, [0, 0, 0]));
+  const white = PNG.sync.write(createSolidPng(4, 4, [255, 255, 255]));
+
+  const changed = await compareDeterminismRun(
+    savedFrames,
+    [
+      { timestampMs: 0, buffer: black },
+      { timestampMs: 200, buffer: white },
+    ],
+    2,
+    { outputDir }
+  );
+  assert.deepStrictEqual(
+    changed.map(({ path: framePath, mismatchPercent, runPath }) => [framePath, mismatchPercent, runPath]),
+    [[savedFrames[1].path, 100, path.join(outputDir, 'determinism', 'demo-0200ms-run2.png')]]
+  );
+  assert.ok(fs.existsSync(path.join(outputDir, 'determinism', 'demo-0200ms-run2-diff.png')));
+
+  const truncated = await compareDeterminismRun(savedFrames, [{ timestampMs: 0, buffer: black }], 3, { outputDir });
+  assert.deepStrictEqual(
+    truncated.map(({ path: framePath, run, reason, runPath }) => [framePath, run, reason, runPath]),
+    savedFrames.map((frame) => [frame.path, 3, 'run 3 captured 1 frame(s) instead of 2', null])
+  );
+});
+
+test('compareScreenshotsWithBaselines applies the tolerated mismatch and writes diffs', async () => {
+  const root = makeTemporaryDirectory('capture-compare-');
+  const outputDir = path.join(root, 'output');
+  const compareDir = path.join(root, 'baselines');
+  fs.mkdirSync(outputDir);
+  fs.mkdirSync(compareDir);
+
+  const changed = createSolidPng(4, 4, [0, 0, 0]);
+  changed.data.fill(255, 0, 16);
+  fs.writeFileSync(path.join(outputDir, 'demo-0000ms.png'), PNG.sync.write(changed));
+  fs.writeFileSync(path.join(outputDir, 'demo-0200ms.png'), PNG.sync.write(changed));
+  fs.writeFileSync(path.join(compareDir, 'demo-0000ms.png'), PNG.sync.write(createSolidPng(4, 4, [0, 0, 0])));
+
+  const screenshots = ['demo-0000ms.png', 'demo-0200ms.png'].map((name) => path.join(outputDir, name));
+  const strict = await compareScreenshotsWithBaselines(screenshots, {
+    outputDir,
+    compareDir,
+    maxMismatchPercent: 0,
+    pixelThreshold: 0.1,
+  });
+
+  assert.strictEqual(strict[0].passed, false);
+  assert.strictEqual(strict[0].mismatchPercent, 25);
+  assert.ok(fs.existsSync(strict[0].diffPath));
+  assert.strictEqual(strict[1].passed, false);
+  assert.strictEqual(strict[1].reason, 'missing baseline');
+
+  const tolerant = await compareScreenshotsWithBaselines(screenshots.slice(0, 1), {
+    outputDir,
+    compareDir,
+    maxMismatchPercent: 30,
+    pixelThreshold: 0.1,
+  });
+  assert.strictEqual(tolerant[0].passed, true);
+});
+
+test('validateCaptureConfig checks comparison settings', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+
+  assert.doesNotThrow(() => validateCaptureConfig(build('--compare', 'baselines', '--update-baselines')));
+  assert.throws(() => validateCaptureConfig(build('--update-baselines')), /combined with --compare/);
+  assert.throws(() => validateCaptureConfig(build('--max-mismatch', '101')), /between 0 and 100/);
+  assert.throws(() => validateCaptureConfig(build('--pixel-threshold', '2')), /between 0 and 1/);
+});
+
+test('buildFrameDelays keeps the shorter final step of an irregular timeline', () => {
+  const timeline = buildCaptureTimeline(450, 200);
+
+  assert.deepStrictEqual(buildFrameDelays(timeline, 200), [200, 200, 50, 200]);
+  assert.deepStrictEqual(buildFrameDelays([400], 200), [200]);
+  assert.deepStrictEqual(buildFrameDelays([], 200), []);
+});
+
+test('buildFrameDelays rounds cumulatively so the total duration is preserved', () => {
+  const delays = buildFrameDelays([0, 33.3, 66.7, 100], 33.3, 10);
+
+  assert.deepStrictEqual(delays, [30, 40, 30, 30]);
+  assert.strictEqual(delays.slice(0, 3).reduce((sum, delay) => sum + delay, 0), 100);
+});
+
+function readPngChunks(buffer) {
+  const chunks = [];
+  for (let offset = 8; offset < buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    chunks.push({ type: buffer.toString('ascii', offset + 4, offset + 8), data: buffer.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+test('encodeApng writes one frame control chunk per frame with its delay', () => {
+  const frames = [createSolidPng(3, 2, [255, 0, 0]), createSolidPng(3, 2, [0, 255, 0]), createSolidPng(3, 2, [0, 0, 255])];
+  const chunks = readPngChunks(encodeApng(frames, [200, 50, 200]));
+  const types = chunks.map((chunk) => chunk.type);
+
+  assert.deepStrictEqual(types, ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+  assert.strictEqual(chunks[1].data.readUInt32BE(0), 3);
+
+  const delays = chunks
+    .filter((chunk) => chunk.type === 'fcTL')
+    .map((chunk) => chunk.data.readUInt16BE(20) / chunk.data.readUInt16BE(22));
+  assert.deepStrictEqual(delays, [0.2, 0.05, 0.2]);
+
+  // The first frame doubles as the static fallback image.
+  assert.deepStrictEqual(PNG.sync.read(encodeApng(frames, [200, 50, 200])).data, frames[0].data);
+  assert.throws(() => encodeApng([frames[0], createSolidPng(2, 2, [0, 0, 0])], [100, 100]), /Expected every frame to measure 3x2/);
+});
+
+function readGifDelays(gif) {
+  const delays = [];
+  for (let offset = 0; offset < gif.length - 5; offset += 1) {
+    if (gif[offset] === 0x21 && gif[offset + 1] === 0xf9 && gif[offset + 2] === 0x04) {
+      delays.push(gif.readUInt16LE(offset + 4));
+    }
+  }
+  return delays;
+}
+
+test('encodeGif stores each frame delay in centiseconds', () => {
+  const frames = [createSolidPng(2, 2, [255, 0, 0]), createSolidPng(2, 2, [0, 0, 255])];
+  const gif = encodeGif(frames, [50, 200]);
+
+  assert.strictEqual(gif.toString('ascii', 0, 6), 'GIF89a');
+  assert.deepStrictEqual(readGifDelays(gif), [5, 20]);
+});
+
+test('encodeGif raises delays below 2 centiseconds so browsers do not slow them down', () => {
+  const frames = [createSolidPng(2, 2, [255, 0, 0]), createSolidPng(2, 2, [0, 0, 255])];
+
+  assert.deepStrictEqual(readGifDelays(encodeGif(frames, [0, 10])), [2, 2]);
+});
+
+test('resolveTimelineStepMs holds the last exported frame for the --fps step', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+
+  assert.strictEqual(resolveTimelineStepMs(build('--interval', '250')), 250);
+  assert.strictEqual(resolveTimelineStepMs(build('--interval', '250', '--fps', '50')), 20);
+  assert.deepStrictEqual(buildFrameDelays([0, 20, 40], resolveTimelineStepMs(build('--fps', '50')), 10), [20, 20, 20]);
+});
+
+test('validateCaptureConfig only accepts known export formats', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+
+  assert.deepStrictEqual(build('--export', 'GIF, apng').timelineExports, ['gif', 'apng']);
+  assert.doesNotThrow(() => validateCaptureConfig(build('--export', 'gif,apng')));
+  assert.throws(() => validateCaptureConfig(build('--export', 'webp')), /Unsupported export format "webp"/);
+});
+
+test('detectAnimatedImageType recognizes GIF, APNG and animated WebP payloads', () => {
+  const gifPath = path.join(__dirname, '..', 'assets', 'example', 'img', 'slide1.gif');
+  assert.strictEqual(detectAnimatedImageType(fs.readFileSync(gifPath)), 'image/gif');
+
+  const frame = createSolidPng(2, 2, [0, 0, 0]);
+  assert.strictEqual(detectAnimatedImageType(PNG.sync.write(frame)), null);
+
+  const apng = encodeApng([frame, frame], [100, 100]);
+  assert.strictEqual(detectAnimatedImageType(apng), 'image/png');
+
+  const webpHeader = (flags) =>
+    Buffer.concat([
+      Buffer.from('RIFF\0\0\0\0WEBPVP8X\0\0\0\0', 'latin1'),
+      Buffer.from([flags, 0, 0, 0]),
+    ]);
+  assert.strictEqual(detectAnimatedImageType(webpHeader(0x02)), 'image/webp');
+  assert.strictEqual(detectAnimatedImageType(webpHeader(0x10)), null);
+  assert.strictEqual(detectAnimatedImageType(Buffer.from('<svg/>')), null);
+});
+
+test('the animated image patch lays frames out like Chromium and picks the frame for a timestamp', () => {
+  const { buildAnimatedImageTimeline, resolveAnimatedImageFrame } =
+    createPatchedWindow('animated image frame control').__captureAutomation;
+
+  // Frames of 10 ms or less play at 100 ms.
+  const timeline = buildAnimatedImageTimeline([50, 0, 120]);
+  assert.deepStrictEqual(structuredClone(timeline), { startsMs: [0, 50, 150], durationMs: 270 });
+
+  const looping = { ...timeline, playCount: Infinity };
+  assert.strictEqual(resolveAnimatedImageFrame(looping, 0), 0);
+  assert.strictEqual(resolveAnimatedImageFrame(looping, 149), 1);
+  assert.strictEqual(resolveAnimatedImageFrame(looping, 160), 2);
+  assert.strictEqual(resolveAnimatedImageFrame(looping, 300), 0);
+
+  const twice = { ...timeline, playCount: 2 };
+  assert.strictEqual(resolveAnimatedImageFrame(twice, 320), 1);
+  assert.strictEqual(resolveAnimatedImageFrame(twice, 540), 2);
+  assert.strictEqual(resolveAnimatedImageFrame(twice, 5000), 2);
+});
+
+test('the animated image patch decodes every frame and swaps <img> sources to match the timestamp', async () => {
+  const frameDurationsUs = [100_000, 100_000, 200_000];
+  let blobCount = 0;
+  class FakeImageDecoder {
+    constructor() {
+      this.tracks = { ready: Promise.resolve(), selectedTrack: { animated: true, frameCount: 3, repetitionCount: 1 } };
+      this.completed = Promise.resolve();
+    }
+    async decode({ frameIndex }) {
+      return { image: { displayWidth: 1, displayHeight: 1, duration: frameDurationsUs[frameIndex], close() {} } };
+    }
+    close() {}
+  }
+  const image = { src: 'https://cdn.example/spinner.gif', srcset: '', complete: true, parentElement: null };
+  const window = createPatchedWindow('animated image frame control', [], {
+    atob,
+    ImageDecoder: FakeImageDecoder,
+    Image: class {
+      async decode() {}
+    },
+    URL: { createObjectURL: () => `blob:frame-${blobCount++}` },
+    document: {
+      images: [image],
+      createElement: () => ({ getContext: () => ({ clearRect() {}, drawImage() {} }), toBlob: (resolve) => resolve({}) }),
+    },
+  });
+  const automation = window.__captureAutomation;
+
+  assert.deepStrictEqual(Array.from(automation.listUndecodedImageSources()), [image.src]);
+  assert.strictEqual(await automation.registerAnimatedImage(image.src, 'R0lG', 'image/gif'), 3);
+  assert.deepStrictEqual(Array.from(automation.listUndecodedImageSources()), []);
+
+  const seek = (targetTimeMs) => {
+    automation.seekAnimatedImages(targetTimeMs);
+    return image.src;
+  };
+  assert.strictEqual(seek(0), 'blob:frame-0');
+  assert.strictEqual(seek(250), 'blob:frame-2');
+  assert.strictEqual(seek(500), 'blob:frame-1');
+  // repetitionCount 1 plays the image twice, then holds the last frame.
+  assert.strictEqual(seek(900), 'blob:frame-2');
+  assert.deepStrictEqual(Array.from(automation.listAnimatedImageSources()), ['https://cdn.example/spinner.gif']);
+});
+
+// A page double for prepareAnimatedImages: lists `sources` as undecoded and
+// answers registration with `register(source, data, type)`.
+function createImagePage(sources, register) {
+  const calls = [];
+  return {
+    calls,
+    request: {
+      get: async () => {
+        throw new Error('the network is offline');
+      },
+    },
+    evaluate: async (fn, argument) => {
+      const source = fn.toString();
+      if (source.includes('listUndecodedImageSources')) {
+        return sources;
+      }
+      if (source.includes('registerAnimatedImage')) {
+        calls.push(['register', argument.source, argument.type]);
+        return register(argument);
+      }
+      calls.push(['abandon', argument]);
+      return undefined;
+    },
+  };
+}
+
+function createAnimatedGif() {
+  return encodeGif([createSolidPng(2, 2, [255, 0, 0]), createSolidPng(2, 2, [0, 0, 255])], [100, 100]);
+}
+
+test('prepareAnimatedImages answers routed image URLs from the route table', async () => {
+  const directory = makeTemporaryDirectory('capture-images-');
+  const gifPath = path.join(directory, 'spinner.gif');
+  fs.writeFileSync(gifPath, createAnimatedGif());
+  const page = createImagePage(['https://cdn.example/img/spinner.gif', 'https://cdn.example/missing.gif'], () => 2);
+  const warnings = [];
+
+  await prepareAnimatedImages(
+    page,
+    { routes: [{ url: 'https://cdn.example/img/*.gif', file: gifPath }] },
+    { warn: (message) => warnings.push(message) }
+  );
+
+  assert.deepStrictEqual(page.calls, [
+    ['register', 'https://cdn.example/img/spinner.gif', 'image/gif'],
+    ['register', 'https://cdn.example/missing.gif', null],
+  ]);
+  assert.deepStrictEqual(warnings, ['Failed to read image https://cdn.example/missing.gif: the network is offline']);
+});
+
+test('prepareAnimatedImages abandons images that take too long to decode', async () => {
+  const source = `data:image/gif;base64,${createAnimatedGif().toString('base64')}`;
+  const page = createImagePage([source], () => new Promise(() => {}));
+  const warnings = [];
+
+  await prepareAnimatedImages(page, {}, { warn: (message) => warnings.push(message) }, 20);
+
+  assert.deepStrictEqual(page.calls, [
+    ['register', source, 'image/gif'],
+    ['abandon', source],
+  ]);
+  assert.match(warnings[0], /took longer than 20ms; it keeps its own playback/);
+});
+
+test('buildContactSheetLayout sizes the grid from columns, spacing and label strips', () => {
+  const layout = buildContactSheetLayout(21, 320, 240, { columns: 5, spacing: 8 });
+
+  assert.strictEqual(layout.columns, 5);
+  assert.strictEqual(layout.rows, 5);
+  assert.strictEqual(layout.width, 5 * 320 + 6 * 8);
+  assert.strictEqual(layout.height, 5 * (240 + 20) + 6 * 8);
+
+  const narrow = buildContactSheetLayout(3, 100, 50, { columns: 10, spacing: 0 });
+  assert.strictEqual(narrow.columns, 3);
+  assert.strictEqual(narrow.rows, 1);
+  assert.strictEqual(narrow.width, 300);
+});
+
+test('readPngDimensions reads the IHDR header and rejects other data', () => {
+  assert.deepStrictEqual(readPngDimensions(PNG.sync.write(createSolidPng(7, 3, [0, 0, 0]))), { width: 7, height: 3 });
+  assert.throws(() => readPngDimensions(Buffer.from('GIF89a-not-a-png-at-all!')), /Expected a PNG image/);
+});
+
+test('validateCaptureConfig checks contact sheet settings', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', '--sheet', ...args], {}, isolatedCwd);
+
+  assert.strictEqual(build().contactSheet, true);
+  assert.doesNotThrow(() => validateCaptureConfig(build('--sheet-columns', '7', '--sheet-spacing', '0')));
+  assert.throws(() => validateCaptureConfig(build('--sheet-columns', '2.5')), /contactSheetColumns to be a positive integer/);
+  assert.throws(() => validateCaptureConfig(build('--sheet-spacing', '-4')), /contactSheetSpacing to be greater than or equal to 0/);
+});
+
+test('validateCaptureConfig accepts 32-bit integer random seeds', () => {
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+
+  assert.strictEqual(build().randomSeed, 0);
+  assert.strictEqual(build('--seed', '42').randomSeed, 42);
+  assert.doesNotThrow(() => validateCaptureConfig(build('--seed=4294967295')));
+  assert.throws(() => validateCaptureConfig(build('--seed', '1.5')), /randomSeed to be an integer/);
+  assert.throws(() => validateCaptureConfig(build('--seed', '-1')), /randomSeed to be between 0 and 4294967295/);
+});
+
+// Runs installDeterministicGlobals in a fresh realm whose virtual clock reads
+// `clock.offsetMs`, the way the RAF probe reports it.
+function createDeterministicWindow(seed, clock = { offsetMs: 0 }) {
+  const context = vm.createContext({ __captureAutomation: { getVirtualTimeOffset: () => clock.offsetMs } });
+  context.window = context;
+  vm.runInContext(
+    `(${serializePageFunction(installDeterministicGlobals)})(${JSON.stringify({ epochMs: Date.UTC(2024, 0, 1), seed })})`,
+    context
+  );
+  return context;
+}
+
+test('the virtual Date follows the page clock and behaves like Date', () => {
+  const clock = { offsetMs: 0 };
+  const window = createDeterministicWindow(0, clock);
+  const evaluate = (source) => vm.runInContext(source, window);
+
+  assert.strictEqual(evaluate('Date.now()'), Date.UTC(2024, 0, 1));
+  clock.offsetMs = 1500.75;
+  assert.strictEqual(evaluate('Date.now()'), Date.UTC(2024, 0, 1) + 1500);
+  assert.strictEqual(evaluate('new Date().getTime()'), Date.UTC(2024, 0, 1) + 1500);
+  assert.strictEqual(evaluate('typeof Date()'), 'string');
+  assert.strictEqual(evaluate('Date()'), evaluate('new Date().toString()'));
+  assert.strictEqual(evaluate('new Date(0).toISOString()'), '1970-01-01T00:00:00.000Z');
+  assert.strictEqual(evaluate('new Date(2020, 1, 3).getMonth()'), 1);
+  assert.strictEqual(evaluate('Date.UTC(2020, 0, 1)'), Date.UTC(2020, 0, 1));
+  assert.strictEqual(evaluate('new Date() instanceof Date'), true);
+  assert.strictEqual(evaluate('new Date().constructor === Date'), true);
+  assert.strictEqual(evaluate('class Stamp extends Date {}; new Stamp(5) instanceof Date'), true);
+});
+
+test('the seeded Math.random repeats its sequence for the same seed', () => {
+  const draw = (seed) =>
+    JSON.parse(vm.runInContext('JSON.stringify(Array.from({ length: 5 }, () => Math.random()))', createDeterministicWindow(seed)));
+  const first = draw(42);
+
+  assert.deepStrictEqual(draw(42), first);
+  assert.notDeepStrictEqual(draw(43), first);
+  assert.ok(first.every((value) => value >= 0 && value < 1));
+});
+
+test('buildCaptureConfig loads repeatable --patch modules and config file patches', () => {
+  const configPath = writeCaptureConfig(
+    "module.exports = { patchModules: ['./tween-patch.js'] };",
+    'capture.config.js'
+  );
+  const patchPath = path.join(path.dirname(configPath), 'tween-patch.js');
+  fs.writeFileSync(
+    patchPath,
+    "module.exports = { name: 'tween', initScript() {}, synchronize(targetTimeMs) { window.tween.seek(targetTimeMs); } };"
+  );
+  const otherPath = path.join(path.dirname(configPath), 'other-patch.js');
+  fs.writeFileSync(otherPath, "module.exports = { name: 'other', initScript: 'window.other = true;' };");
+
+  const fromFile = buildCaptureConfig(['demo.html', '--config', configPath], {}, isolatedCwd);
+  assert.deepStrictEqual(fromFile.patchModules, [patchPath]);
+  assert.deepStrictEqual(fromFile.externalPatches.map((patch) => patch.name), ['tween']);
+
+  const fromCli = buildCaptureConfig(
+    ['demo.html', '--config', configPath, '--patch', patchPath, '--patch', otherPath],
+    {},
+    isolatedCwd
+  );
+  assert.deepStrictEqual(fromCli.patchModules, [patchPath, otherPath]);
+  assert.deepStrictEqual(fromCli.externalPatches.map((patch) => patch.name), ['tween', 'other']);
+
+  const addedOnCli = buildCaptureConfig(['demo.html', '--config', configPath, '--patch', otherPath], {}, isolatedCwd);
+  assert.deepStrictEqual(addedOnCli.patchModules, [patchPath, otherPath]);
+  assert.deepStrictEqual(addedOnCli.externalPatches.map((patch) => patch.name), ['tween', 'other']);
+});
+
+test('loadFrameworkPatches rejects malformed modules and duplicate names', () => {
+  const directory = makeTemporaryDirectory('capture-patch-');
+  const writePatch = (filename, source) => {
+    const patchPath = path.join(directory, filename);
+    fs.writeFileSync(patchPath, source);
+    return patchPath;
+  };
+
+  assert.throws(
+    () => loadFrameworkPatches([writePatch('nameless.js', 'module.exports = { initScript() {} };')]),
+    /to export a non-empty "name"/
+  );
+  assert.throws(
+    () => loadFrameworkPatches([writePatch('no-init.js', "module.exports = { name: 'x' };")]),
+    /"initScript" as a function or source string/
+  );
+  assert.throws(
+    () => loadFrameworkPatches([writePatch('bad-hook.js', "module.exports = { name: 'y', initScript() {}, detect: true };")]),
+    /"detect" of the framework patch "y" to be a function/
+  );
+  assert.throws(
+    () => loadFrameworkPatches([writePatch('builtin.js', "module.exports = { name: 'anime.js lifecycle bootstrap hooks', initScript() {} };")]),
+    /is already in use/
+  );
+  assert.throws(() => loadFrameworkPatches([path.join(directory, 'missing.js')]), /Failed to load the framework patch module/);
+});
+
+test('serializePageFunction produces evaluable source for every function form', () => {
+  const hooks = {
+    arrow: (value) => value + 1,
+    expression: function (value) {
+      return value + 2;
+    },
+    shorthand(value) {
+      return value + 3;
+    },
+    async asyncShorthand(value) {
+      return value + 4;
+    },
+  };
+
+  assert.strictEqual(eval(serializePageFunction(hooks.arrow))(1), 2);
+  assert.strictEqual(eval(serializePageFunction(hooks.expression))(1), 3);
+  assert.strictEqual(eval(serializePageFunction(hooks.shorthand))(1), 4);
+  return eval(serializePageFunction(hooks.asyncShorthand))(1).then((value) => assert.strictEqual(value, 5));
+});
+
+// Runs a built-in framework patch's init script in a bare page-like context,
+// followed by the given library scripts, and returns that context's window.
+function createPatchedWindow(patchName, librarySources = [], globals = {}) {
+  const patch = FRAMEWORK_PATCHES.find((candidate) => candidate.name === patchName);
+  const context = vm.createContext({
+    console,
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame() {},
+    setTimeout: () => 0,
+    clearTimeout() {},
+    ...globals,
+  });
+  context.window = context;
+  vm.runInContext(`(${serializePageFunction(patch.initScript)})()`, context);
+  for (const source of librarySources) {
+    vm.runInContext(source, context);
+  }
+  return context;
+}
+
+test('the GSAP patch seeks tracked animations in virtual time with callbacks in order', () => {
+  const gsapSource = fs.readFileSync(path.join(__dirname, '../assets/example/gsap/lib/gsap.min.js'), 'utf8');
+  const window = createPatchedWindow('GSAP timeline tracking', [gsapSource]);
+  const automation = window.__captureAutomation;
+  const events = [];
+  const bar = { width: 0 };
+  const badge = { opacity: 0 };
+
+  window.gsap
+    .timeline({ onStart: () => events.push('start'), onComplete: () => events.push('complete') })
+    .to(bar, { width: 100, duration: 1, ease: 'none' });
+  window.gsap.to(badge, { opacity: 1, duration: 1, delay: 0.5, ease: 'none' });
+
+  // Tweens added to a tracked timeline follow it instead of being tracked.
+  assert.strictEqual(automation.getTrackedGsapAnimations().length, 2);
+
+  assert.strictEqual(automation.seekGsapAnimations(500), 2);
+  assert.strictEqual(bar.width, 50);
+  assert.strictEqual(badge.opacity, 0);
+  assert.deepStrictEqual(events, ['start']);
+
+  automation.seekGsapAnimations(1000);
+  assert.strictEqual(badge.opacity, 0.5);
+
+  automation.seekGsapAnimations(2000);
+  assert.strictEqual(bar.width, 100);
+  assert.strictEqual(badge.opacity, 1);
+  assert.deepStrictEqual(events, ['start', 'complete']);
+});
+
+test('the lottie patch maps virtual time to frames for loops, finite and reversed items', () => {
+  const window = createPatchedWindow('lottie-web animation tracking');
+  const { resolveLottieFrame } = window.__captureAutomation;
+  // A 3-second, 30 fps item, as lottie reports it.
+  const item = (overrides) => ({ totalFrames: 90, frameRate: 30, frameModifier: 0.03, loop: false, ...overrides });
+
+  assert.strictEqual(resolveLottieFrame(0, item()), 0);
+  assert.strictEqual(resolveLottieFrame(2000, item()), 60);
+  assert.strictEqual(resolveLottieFrame(5000, item()), 89);
+
+  assert.strictEqual(resolveLottieFrame(4000, item({ loop: true })), 30);
+  assert.strictEqual(resolveLottieFrame(4000, item({ loop: 1 })), 30);
+  assert.strictEqual(resolveLottieFrame(7000, item({ loop: 1 })), 89);
+
+  assert.strictEqual(resolveLottieFrame(2000, item({ frameModifier: -0.03 })), 29);
+  assert.strictEqual(resolveLottieFrame(5000, item({ frameModifier: -0.03 })), 0);
+  assert.strictEqual(resolveLottieFrame(2000, item({ frameModifier: undefined, playDirection: -1 })), 29);
+});
+
+test('the lottie patch stops every loaded item on its resolved frame', () => {
+  const failures = [];
+  const window = createPatchedWindow('lottie-web animation tracking', [], {
+    __captureAutomation: { reportSyncFailure: (message, error) => failures.push(`${message}: ${error.message}`) },
+  });
+  const stops = [];
+  const loaded = { totalFrames: 90, frameModifier: 0.03, loop: false, isLoaded: true, goToAndStop: (frame) => stops.push(frame) };
+  const pending = { ...loaded, isLoaded: false };
+  const broken = {
+    ...loaded,
+    goToAndStop: () => {
+      throw new Error('no renderer');
+    },
+  };
+  window.lottie = { loadAnimation: (options) => options.item };
+
+  window.lottie.loadAnimation({ item: loaded });
+  window.lottie.loadAnimation({ item: pending });
+  window.lottie.loadAnimation({ item: broken });
+
+  assert.strictEqual(window.__captureAutomation.seekLottieAnimations(1000), 1);
+  assert.deepStrictEqual(stops, [30]);
+  assert.deepStrictEqual(failures, ['Failed to seek lottie animation to target time: no renderer']);
+});
+
+test('--target auto caps endless anime.js v4 loops at the iteration limit', async () => {
+  const animeSource = fs.readFileSync(path.join(__dirname, '../assets/example/animejs/lib/anime42.umd.min.js'), 'utf8');
+  const window = createPatchedWindow('anime.js lifecycle bootstrap hooks', [], {
+    NodeList: class {},
+    HTMLCollection: class {},
+    SVGElement: class {},
+    document: { addEventListener() {}, removeEventListener() {}, getAnimations: () => [], querySelectorAll: () => [] },
+  });
+  vm.runInContext(animeSource, window);
+  const page = {
+    evaluate: async (fn, arg) => vm.runInContext(`(${serializePageFunction(fn)})(${JSON.stringify(arg)})`, window),
+  };
+
+  // anime.js v4 reports an endless loop's duration as 1e12 ms.
+  const looping = window.anime.animate({ x: 0 }, { x: 100, duration: 1000, loop: true, autoplay: false });
+  assert.strictEqual(looping.duration, 1e12);
+  assert.strictEqual(await detectAnimationEndTime(page, 3), 3000);
+
+  // Finite v4 loops already count every iteration and loop delay.
+  window.anime.animate({ x: 0 }, { x: 100, duration: 1500, loop: 2, loopDelay: 100, autoplay: false });
+  const targetTimeMs = await detectAnimationEndTime(page, 1);
+  assert.strictEqual(targetTimeMs, 4700);
+
+  const config = buildCaptureConfig(['demo.html', '--target', 'auto', '--interval', '1000'], {}, isolatedCwd);
+  assert.strictEqual(resolveCaptureTimeline({ ...config, targetTimeMs }).length, 6);
+});
+
+test('normalizeCaptureTimeline accepts ascending non-negative timestamps', () => {
+  assert.deepStrictEqual(normalizeCaptureTimeline([0, 250, 250, 1000]), [0, 250, 250, 1000]);
+  assert.throws(() => normalizeCaptureTimeline([]), /non-empty list of timestamps/);
+  assert.throws(() => normalizeCaptureTimeline([0, -5]), /timeline\[1\] to be greater than or equal to 0/);
+  assert.throws(() => normalizeCaptureTimeline([500, 100]), /ascending order\. 100 follows 500/);
+});
+
+test('captureAnimation rejects invalid options before launching a browser', async () => {
+  await assert.rejects(captureAnimation({}), /exactly one of the "file", "url" or "html" options/);
+  await assert.rejects(captureAnimation({ url: 'https://example.com', html: '<p></p>' }), /exactly one of/);
+  await assert.rejects(captureAnimation({ html: '<p></p>', outputDir: 'frames' }), /Unknown captureAnimation\(\) option "outputDir"/);
+  await assert.rejects(captureAnimation({ html: '<p></p>', viewport: '0x10' }), /viewport\.width to be a positive integer/);
+  await assert.rejects(captureAnimation({ html: '<p></p>', deviceScaleFactor: 0 }), /deviceScaleFactor to be between 0\.25 and 8/);
+  await assert.rejects(captureAnimation({ html: '<p></p>', serve: true }), /Expected the "file" option when serve is enabled/);
+  await assert.rejects(captureAnimation({ html: '<p></p>', timeline: [10, 5] }), /ascending order/);
+  await assert.rejects(captureAnimation({ file: path.join(os.tmpdir(), 'missing-capture.html') }), /Unable to read the animation file/);
+});
+
+test('buildCaptureConfig collects repeatable selectors with padding and transparency', () => {
+  const config = buildCaptureConfig(
+    ['demo.html', '--selector', '#stage', '--selector=.card:nth-child(2)', '--padding', '8', '--omit-background'],
+    {},
+    isolatedCwd
+  );
+
+  assert.deepStrictEqual(config.selectors, ['#stage', '.card:nth-child(2)']);
+  assert.strictEqual(config.selectorPadding, 8);
+  assert.strictEqual(config.omitBackground, true);
+  assert.doesNotThrow(() => validateCaptureConfig(config));
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['demo.html', '--selector', ' '], {}, isolatedCwd)),
+    /selectors\[0\] to be a non-empty string/
+  );
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['demo.html', '--padding', '-2'], {}, isolatedCwd)),
+    /selectorPadding to be greater than or equal to 0/
+  );
+});
+
+test('cropRegionFrames crops a moving element to the union of its boxes', () => {
+  // A 2x screenshot of a 120x80 viewport with a red element that is hidden at
+  // first, then slides right and grows until it runs past the edge.
+  const viewport = { width: 120, height: 80 };
+  const boxes = [null, { x: 10, y: 20, width: 30, height: 10 }, { x: 60, y: 25, width: 40, height: 12 }, { x: 110, y: 30, width: 50, height: 14 }];
+  const frames = boxes.map((box, index) => {
+    const png = createSolidPng(viewport.width * 2, viewport.height * 2, [255, 255, 255]);
+    if (box) {
+      for (let y = box.y * 2; y < Math.min(png.height, (box.y + box.height) * 2); y += 1) {
+        for (let x = box.x * 2; x < Math.min(png.width, (box.x + box.width) * 2); x += 1) {
+          png.data.set([255, 0, 0, 255], (y * png.width + x) * 4);
+        }
+      }
+    }
+    return { timestampMs: index * 100, region: 'mover', selector: '#mover', box, buffer: PNG.sync.write(png) };
+  });
+  const countRed = (buffer) => {
+    const { data } = PNG.sync.read(buffer);
+    let count = 0;
+    for (let offset = 0; offset < data.length; offset += 4) {
+      count += data[offset + 1] === 0 ? 1 : 0;
+    }
+    return count;
+  };
+
+  const cropped = cropRegionFrames(frames, { selectorPadding: 4 }, viewport, 'demo');
+
+  // x 6..120 (clamped) and y 16..48, doubled for the device scale factor.
+  assert.deepStrictEqual(
+    cropped.map(({ width, height }) => ({ width, height })),
+    Array(4).fill({ width: 228, height: 64 })
+  );
+  assert.deepStrictEqual(cropped.map((frame) => countRed(frame.buffer)), frames.map((frame) => countRed(frame.buffer)));
+  assert.ok(cropped.every((frame) => !('box' in frame)));
+
+  assert.throws(
+    () => cropRegionFrames([{ ...frames[0], box: null }], {}, viewport, 'demo.html'),
+    /The selector "#mover" matched no visible element in demo\.html at any captured timestamp/
+  );
+});
+
+test('buildRegionSlugs derives unique file-name-safe region names', () => {
+  assert.deepStrictEqual(buildRegionSlugs(['#stage', '.card:nth-child(2)', '#Stage', '*']), [
+    'stage',
+    'card-nth-child-2',
+    'stage-2',
+    'region',
+  ]);
+});
+
+test('buildCaptureConfig parses the viewport and device scale factor matrix', () => {
+  const config = buildCaptureConfig(['demo.html', '--viewports', 'mobile=375x667, 1280x720', '--dpr', '1,2x'], {}, isolatedCwd);
+  assert.deepStrictEqual(config.viewports, [
+    { name: 'mobile', width: 375, height: 667 },
+    { name: '1280x720', width: 1280, height: 720 },
+  ]);
+  assert.deepStrictEqual(config.deviceScaleFactors, [1, 2]);
+  assert.doesNotThrow(() => validateCaptureConfig(config));
+
+  const configPath = writeCaptureConfig({
+    overrides: { 'demo.html': { viewports: ['tablet=768x1024', { name: 'wide', width: 1920, height: 1080 }], deviceScaleFactors: 3 } },
+  });
+  const fileConfig = resolveFileCaptureConfig(buildCaptureConfig(['demo.html', '--config', configPath], {}, isolatedCwd), 'demo.html');
+  assert.deepStrictEqual(fileConfig.viewports.map((viewport) => viewport.name), ['tablet', 'wide']);
+  assert.deepStrictEqual(fileConfig.deviceScaleFactors, [3]);
+
+  const build = (...args) => buildCaptureConfig(['demo.html', ...args], {}, isolatedCwd);
+  assert.throws(() => validateCaptureConfig(build('--dpr', '0')), /deviceScaleFactors\[0\] to be between 0\.25 and 8/);
+  assert.throws(() => validateCaptureConfig(build('--dpr', '2,2')), /each factor once/);
+  assert.throws(() => validateCaptureConfig(build('--viewports', 'a=1x1,a=2x2')), /"a" is listed twice/);
+  assert.throws(() => validateCaptureConfig(build('--viewports', 'my phone=375x667')), /names an output folder/);
+});
+
+test('buildCaptureVariants crosses every viewport with every scale factor', () => {
+  const viewport = { width: 320, height: 240 };
+  assert.deepStrictEqual(buildCaptureVariants({ viewport, viewports: [], deviceScaleFactors: [2] }), [
+    { name: null, viewport, deviceScaleFactor: 2 },
+  ]);
+  assert.deepStrictEqual(
+    buildCaptureVariants({ viewport, viewports: [], deviceScaleFactors: [1, 2] }).map((variant) => variant.name),
+    ['320x240@1x', '320x240@2x']
+  );
+
+  const variants = buildCaptureVariants({
+    viewport,
+    viewports: [
+      { name: 'mobile', width: 375, height: 667 },
+      { name: 'desktop', width: 1280, height: 720 },
+    ],
+    deviceScaleFactors: [1, 2],
+  });
+  assert.deepStrictEqual(variants.map((variant) => variant.name), ['mobile@1x', 'mobile@2x', 'desktop@1x', 'desktop@2x']);
+  assert.deepStrictEqual(variants[3].viewport, { width: 1280, height: 720 });
+  assert.strictEqual(variants[3].deviceScaleFactor, 2);
+});
+
+test('buildCaptureConfig accepts --concurrency as a positive integer', () => {
+  assert.strictEqual(buildCaptureConfig(['*.html'], {}, isolatedCwd).concurrency, 1);
+  assert.strictEqual(buildCaptureConfig(['*.html', '--concurrency', '4'], {}, isolatedCwd).concurrency, 4);
+
+  for (const value of ['0', '1.5']) {
+    assert.throws(
+      () => validateCaptureConfig(buildCaptureConfig(['*.html', '--concurrency', value], {}, isolatedCwd)),
+      /config\.concurrency to be a positive integer/
+    );
+  }
+
+  const overridePath = writeCaptureConfig({ overrides: { 'demo.html': { concurrency: 2 } } });
+  assert.throws(() => buildCaptureConfig(['demo.html', '--config', overridePath], {}, isolatedCwd), /Unknown setting "concurrency"/);
+});
+
+test('--verify-determinism compares at least two runs and can be set per file', () => {
+  const defaults = buildCaptureConfig(['*.html'], {}, isolatedCwd);
+  assert.strictEqual(defaults.verifyDeterminism, false);
+  assert.strictEqual(defaults.determinismRuns, 2);
+
+  const config = buildCaptureConfig(['*.html', '--verify-determinism', '--determinism-runs', '3'], {}, isolatedCwd);
+  assert.strictEqual(config.verifyDeterminism, true);
+  assert.strictEqual(config.determinismRuns, 3);
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['*.html', '--determinism-runs', '1'], {}, isolatedCwd)),
+    /determinismRuns to be at least 2/
+  );
+
+  const overridePath = writeCaptureConfig({
+    overrides: { 'flaky-*.html': { verifyDeterminism: true, determinismRuns: 5 } },
+  });
+  const fileConfig = resolveFileCaptureConfig(
+    buildCaptureConfig(['*.html', '--config', overridePath], {}, isolatedCwd),
+    'flaky-clock.html'
+  );
+  assert.strictEqual(fileConfig.verifyDeterminism, true);
+  assert.strictEqual(fileConfig.determinismRuns, 5);
+});
+
+test('--inspect is a CLI-only mode that cannot be combined with --watch', () => {
+  assert.strictEqual(buildCaptureConfig(['*.html'], {}, isolatedCwd).inspect, false);
+  assert.strictEqual(buildCaptureConfig(['*.html', '--inspect'], {}, isolatedCwd).inspect, true);
+  assert.throws(
+    () => validateCaptureConfig(buildCaptureConfig(['*.html', '--inspect', '--watch'], {}, isolatedCwd)),
+    /--inspect cannot be combined with --watch/
+  );
+
+  const configPath = writeCaptureConfig({ inspect: true });
+  assert.throws(() => buildCaptureConfig(['*.html', '--config', configPath], {}, isolatedCwd), /Unknown setting "inspect"/);
+});
+
+test('formatAnimationInventory lists each section and marks empty ones', () => {
+  const text = formatAnimationInventory({
+    file: 'banner.html',
+    animations: [
+      {
+        type: 'CSSAnimation',
+        name: 'slideUp',
+        target: 'div#headline.title',
+        durationMs: 1200,
+        delayMs: 600,
+        iterations: 'infinite',
+        easing: 'ease-out',
+        playState: 'running',
+      },
+    ],
+    animeInstances: [],
+    rafLoops: [{ name: null, scheduledCount: 12, source: '() => draw()' }],
+    media: [
+      {
+        element: 'video#clip',
+        source: 'clip.mp4',
+        durationMs: 4000,
+        loop: true,
+        autoplay: true,
+        muted: true,
+        paused: false,
+      },
+    ],
+    frameworkPatches: [
+      { name: 'GSAP timeline tracking', active: true },
+      { name: 'custom', active: null },
+    ],
+  });
+
+  assert.deepStrictEqual(text.split('\n'), [
+    'banner.html',
+    '  Web Animations (1):',
+    '    - CSSAnimation "slideUp" on div#headline.title, 1200ms, after 600ms, infinite iterations, ease-out, running',
+    '  anime.js instances: none',
+    '  requestAnimationFrame loops (1):',
+    '    - (anonymous), scheduled 12 times: () => draw()',
+    '  Media elements (1):',
+    '    - video#clip clip.mp4, 4000ms, loop, muted, playing',
+    '  Framework patches (2):',
+    '    - GSAP timeline tracking: active',
+    '    - custom: installed',
+  ]);
+});
+
+test('synchronizeDecodedFrames waits for the seek a re-sync starts before capturing', async () => {
+  // A video whose first seek lands 1 ms off, so pinning it again after the
+  // wait starts a second seek. Each seek completes after two virtual-time nudges.
+  // The first sync also reports a failed in-page seek.
+  const video = { currentTime: 0, seeking: false, pendingNudges: 0, landedOff: false };
+  const syncedTimestamps = [];
+  const warnings = [];
+  const page = {
+    evaluate: async (fn, timestampMs) => {
+      if (timestampMs === undefined) {
+        return !video.seeking;
+      }
+      syncedTimestamps.push(timestampMs);
+      if (video.currentTime !== timestampMs) {
+        Object.assign(video, { currentTime: timestampMs, seeking: true, pendingNudges: 2 });
+      }
+      return syncedTimestamps.length === 1 ? ['Failed to seek GSAP animations to target time: boom'] : [];
+    },
+    waitForTimeout: async () => {},
+  };
+  const client = new EventEmitter();
+  client.send = async () => {
+    video.pendingNudges -= 1;
+    if (video.seeking && video.pendingNudges === 0) {
+      video.seeking = false;
+      if (!video.landedOff) {
+        video.landedOff = true;
+        video.currentTime += 1;
+      }
+    }
+    setImmediate(() => client.emit('Emulation.virtualTimeBudgetExpired'));
+  };
+
+  const frameState = await synchronizeDecodedFrames(page, client, 500, { warn: (message) => warnings.push(message) });
+
+  assert.deepStrictEqual(frameState, { ready: true, advancedMs: 4 });
+  assert.deepStrictEqual(warnings, ['Failed to seek GSAP animations to target time: boom (synchronizing to 500ms)']);
+  assert.deepStrictEqual(syncedTimestamps, [500, 500, 500]);
+  assert.strictEqual(video.seeking, false);
+  assert.strictEqual(video.currentTime, 500);
+});
+
+test('mapWithConcurrency limits work in flight and keeps the input order', async () => {
+  let active = 0;
+  let peak = 0;
+  const delays = [30, 5, 20, 1, 10];
+
+  const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    active -= 1;
+    return `${index}:${delay}`;
+  });
+
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(results, ['0:30', '1:5', '2:20', '3:1', '4:10']);
+  assert.deepStrictEqual(await mapWithConcurrency([], 3, async () => 1), []);
+});
+
+test('findAffectedAnimationFiles re-captures new, edited and dependent animations', () => {
+  const exampleDir = path.resolve('examples');
+  const entries = new Map([
+    ['anime.html', { dependencies: ['animejs/lib/anime.min.js'] }],
+    ['gifs.html', { dependencies: ['img/slide1.gif', 'img/slide2.gif'] }],
+    ['plain.html', { dependencies: [] }],
+  ]);
+  const files = ['anime.html', 'gifs.html', 'new.html', 'plain.html'];
+  const affected = (...changed) =>
+    findAffectedAnimationFiles(files, entries, changed.map((file) => path.join(exampleDir, file)), exampleDir);
+
+  assert.deepStrictEqual(affected('img/slide2.gif'), ['gifs.html', 'new.html']);
+  assert.deepStrictEqual(affected('plain.html', 'animejs/lib/anime.min.js'), ['anime.html', 'new.html', 'plain.html']);
+  assert.deepStrictEqual(
+    findAffectedAnimationFiles(['plain.html'], entries, [path.join(exampleDir, 'notes.txt')], exampleDir),
+    []
+  );
+});
+
+test('parseByteRange handles open, closed, suffix and unsatisfiable ranges', () => {
+  assert.strictEqual(parseByteRange(undefined, 100), null);
+  assert.strictEqual(parseByteRange('bytes=0-9,20-29', 100), null);
+  assert.deepStrictEqual(parseByteRange('bytes=0-', 100), { start: 0, end: 99 });
+  assert.deepStrictEqual(parseByteRange('bytes=10-19', 100), { start: 10, end: 19 });
+  assert.deepStrictEqual(parseByteRange('bytes=90-500', 100), { start: 90, end: 99 });
+  assert.deepStrictEqual(parseByteRange('bytes=-30', 100), { start: 70, end: 99 });
+  assert.strictEqual(parseByteRange('bytes=100-', 100), 'unsatisfiable');
+  assert.strictEqual(parseByteRange('bytes=20-10', 100), null);
+  assert.strictEqual(parseByteRange('bytes=150-120', 100), null);
+  assert.strictEqual(parseByteRange('bytes=150-200', 100), 'unsatisfiable');
+  assert.strictEqual(parseByteRange('bytes=-0', 100), 'unsatisfiable');
+});
+
+test('startStaticServer serves files with content types and byte ranges', async () => {
+  const directory = makeTemporaryDirectory('capture-serve-');
+  fs.mkdirSync(path.join(directory, 'video'));
+  fs.writeFileSync(path.join(directory, 'video', 'clip.webm'), Buffer.from('0123456789'));
+  fs.writeFileSync(path.join(directory, 'data.json'), '{}');
+  const server = await startStaticServer(directory);
+
+  try {
+    assert.match(server.origin, /^http:\/\/127\.0\.0\.1:\d+$/);
+
+    const json = await fetch(`${server.origin}/data.json`);
+    assert.strictEqual(json.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.strictEqual(await json.text(), '{}');
+
+    const partial = await fetch(`${server.origin}/video/clip.webm`, { headers: { Range: 'bytes=2-5' } });
+    assert.strictEqual(partial.status, 206);
+    assert.strictEqual(partial.headers.get('content-type'), 'video/webm');
+    assert.strictEqual(partial.headers.get('content-range'), 'bytes 2-5/10');
+    assert.strictEqual(await partial.text(), '2345');
+
+    const outside = await fetch(`${server.origin}/video/clip.webm`, { headers: { Range: 'bytes=10-' } });
+    assert.strictEqual(outside.status, 416);
+    assert.strictEqual(outside.headers.get('content-range'), 'bytes */10');
+
+    const backwards = await fetch(`${server.origin}/video/clip.webm`, { headers: { Range: 'bytes=5-2' } });
+    assert.strictEqual(backwards.status, 200);
+    assert.strictEqual(backwards.headers.get('content-range'), null);
+    assert.strictEqual(await backwards.text(), '0123456789');
+
+    assert.strictEqual((await fetch(`${server.origin}/missing.html`)).status, 404);
+    assert.strictEqual((await fetch(`${server.origin}/..%2f..%2fetc%2fpasswd`)).status, 403);
+    assert.strictEqual((await fetch(`${server.origin}/data.json`, { method: 'POST' })).status, 405);
+  } finally {
+    await server.close();
+  }
+});
+
+test('config file routes map URL patterns to files and inline responses', () => {
+  const configPath = writeCaptureConfig({
+    routes: {
+      'https://cdn.jsdelivr.net/npm/animejs@*/lib/anime.min.js': 'vendor/anime.min.js',
+      'https://fonts.googleapis.com/**': { contentType: 'text/css', body: '' },
+      'https://www.google-analytics.com/**': { status: 204 },
+    },
+  });
+  const config = buildCaptureConfig(['demo.html', '--config', configPath, '--block-unmatched'], {}, isolatedCwd);
+
+  assert.strictEqual(config.blockUnmatchedRequests, true);
+  assert.strictEqual(config.failOnUnmatchedRequests, false);
+  assert.deepStrictEqual(config.routes[0], {
+    url: 'https://cdn.jsdelivr.net/npm/animejs@*/lib/anime.min.js',
+    file: path.join(path.dirname(configPath), 'vendor', 'anime.min.js'),
+  });
+  assert.doesNotThrow(() => validateCaptureConfig(config));
+
+  assert.strictEqual(findRequestRoute(config.routes, 'https://cdn.jsdelivr.net/npm/animejs@3.2.2/lib/anime.min.js'), config.routes[0]);
+  assert.strictEqual(findRequestRoute(config.routes, 'https://cdn.jsdelivr.net/npm/animejs@3/x/lib/anime.min.js'), null);
+  assert.strictEqual(findRequestRoute(config.routes, 'https://fonts.googleapis.com/css2?family=Inter'), config.routes[1]);
+  assert.strictEqual(findRequestRoute([{ url: /beacon/ }], 'https://example.com/beacon?id=1').url.source, 'beacon');
+
+  const invalid = (route) => validateCaptureConfig({ ...config, routes: [route] });
+  assert.throws(() => invalid({ url: '' }), /config\.routes\[0\]\.url to be a non-empty string/);
+  assert.throws(() => invalid({ url: 'https://a/*', file: 'a.js', body: 'x' }), /either "file" or "body", not both/);
+  assert.throws(() => invalid({ url: 'https://a/*', status: 700 }), /status to be between 100 and 599/);
+});
+
+test('createRunManifest records the browser, patches and effective config', () => {
+  const config = buildCaptureConfig(
+    ['*.html', '--target', '1000'],
+    { PLAYWRIGHT_BROWSER_CHANNEL: 'chrome' },
+    isolatedCwd
+  );
+  const manifest = createRunManifest(config, { version: () => '124.0.6367.29' }, ['a.html', 'b.html']);
+
+  assert.deepStrictEqual(manifest.browser, {
+    name: 'chromium',
+    version: '124.0.6367.29',
+    channel: 'chrome',
+    executablePath: null,
+  });
+  assert.ok(manifest.availableFrameworkPatches.includes('anime.js lifecycle bootstrap hooks'));
+  assert.strictEqual(manifest.config.targetTimeMs, 1000);
+  assert.strictEqual(manifest.config.cliOverrides, undefined);
+  assert.deepStrictEqual(manifest.animationFiles, ['a.html', 'b.html']);
+  assert.deepStrictEqual(manifest.files, []);
+  assert.doesNotThrow(() => JSON.stringify(manifest));
+});
+
+test('buildRunReportHtml renders a self-contained gallery with statuses and escaped errors', () => {
+  const html = buildRunReportHtml({
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    browser: { version: '124.0' },
+    files: [
+      {
+        file: 'demo.html',
+        status: 'passed',
+        error: null,
+        unmatchedRequests: [],
+        frames: [
+          { timestampMs: 0, path: 'demo-0000ms.png', width: 320, height: 240 },
+          { timestampMs: 200, path: 'demo-0200ms.png', width: 320, height: 240 },
+        ],
+        exports: ['demo-timeline.gif'],
+        contactSheets: [],
+        comparisons: [],
+        determinism: [
+          {
+            path: 'demo-0200ms.png',
+            timestampMs: 200,
+            run: 2,
+            mismatchedPixels: 1152,
+            mismatchPercent: 1.5,
+            reason: null,
+            referencePath: 'determinism/demo-0200ms-run1.png',
+            runPath: 'determinism/demo-0200ms-run2.png',
+            diffPath: 'determinism/demo-0200ms-run2-diff.png',
+          },
+        ],
+      },
+      {
+        file: 'broken.html',
+        status: 'failed',
+        error: 'Timeout <script>',
+        unmatchedRequests: ['https://cdn.example.com/anime.min.js'],
+        frames: [],
+        exports: [],
+        contactSheets: [],
+        comparisons: [],
+        determinism: [],
+      },
+    ],
+  });
+
+  assert.match(html, /2 animation\(s\), 1 failed/);
+  assert.match(html, /<input type="range" min="0" max="1" value="1"/);
+  assert.match(html, /href="demo-0000ms\.png"/);
+  assert.match(html, /href="demo-timeline\.gif"/);
+  assert.match(html, /Timeout &lt;script&gt;/);
+  assert.match(html, /<code>https:\/\/cdn\.example\.com\/anime\.min\.js<\/code>/);
+  assert.match(html, /<td>demo-0200ms\.png<\/td><td>2<\/td><td>1152 pixel\(s\) \(1\.50%\)<\/td>/);
+  assert.match(html, /href="determinism\/demo-0200ms-run2-diff\.png"/);
+  assert.ok(!/(src|href)="https?:/.test(html), 'report must not reference remote assets');
+});